@@ -10,11 +10,15 @@ import { vhToPx } from '../utils/dom-helpers.js';
  * - By default strings are treated as plain text (safe).
  * - To insert HTML you MUST pass { html: true } or provide a sanitizeFn option.
  *   Example: append(parent, '<b>bold</b>', { html: true, sanitizeFn: sanitize })
+ *
+ * With { clone: true } nodes are deep-cloned instead of moved, so the same content can be
+ * inserted into several targets (the wrapper clones for every target but the last).
  */
-function normalizeContent(content, options = {}) {
-  const { html = false, sanitizeFn = null } = options;
+export function normalizeContent(content, options = {}) {
+  const { html = false, sanitizeFn = null, clone = false } = options;
 
   if (!content && content !== 0) return null;
+  if (typeof content === 'number') content = String(content);
 
   // Strings: by default create a text node (safe)
   if (typeof content === 'string') {
@@ -28,8 +32,7 @@ function normalizeContent(content, options = {}) {
     return tpl.content;
   }
 
-  if (content instanceof DocumentFragment) return content;
-  if (isNode(content)) return content;
+  if (content instanceof DocumentFragment || isNode(content)) return clone ? content.cloneNode(true) : content;
 
   if (Array.isArray(content)) {
     const frag = document.createDocumentFragment();
@@ -162,6 +165,7 @@ export function clone(el, options = {}) {
 }
 
 export default {
+  normalizeContent,
   append,
   prepend,
   before,
@@ -1,6 +1,13 @@
 // Robust event helpers for library consumption.
+// Event names may carry namespaces ('click.menu') so off() can remove listeners by group;
+// options.signal (AbortSignal) removes listeners when aborted.
+// Listeners added while a reactive owner is active (effect, createRoot, component setup)
+// are removed when that owner is disposed.
+
+import { getOwner, onCleanup } from '../reactive/signals.js';
 
 const elementHandlers = new WeakMap();
+const ownerBindings = new WeakMap(); // owner -> Set of unbind functions
 
 function normalizeEvents(events) {
   if (!events) return [];
@@ -13,86 +20,197 @@ function storeHandler(el, record) {
   elementHandlers.get(el).push(record);
 }
 
-function removeStoredHandlers(el, predicate) {
+/**
+ * bindToOwner(unbind) -> release(): run unbind when the current owner is disposed.
+ * Each owner gets a single onCleanup entry backed by a Set, so release() (called once a
+ * binding's listeners are gone) drops the entry and the element it references.
+ */
+function bindToOwner(unbind) {
+  const owner = getOwner();
+  if (!owner) return () => {};
+  let bound = ownerBindings.get(owner);
+  if (!bound) {
+    bound = new Set();
+    ownerBindings.set(owner, bound);
+    onCleanup(() => {
+      ownerBindings.delete(owner);
+      bound.forEach((fn) => fn());
+    });
+  }
+  bound.add(unbind);
+  return () => bound.delete(unbind);
+}
+
+/**
+ * parseEvent('click.menu.main') -> { type: 'click', namespaces: ['menu', 'main'] }
+ * ('.menu' has an empty type and only matches by namespace in off())
+ */
+function parseEvent(name) {
+  const [type, ...namespaces] = String(name).split('.');
+  return { type, namespaces: namespaces.filter(Boolean) };
+}
+
+function capture(options) {
+  return typeof options === 'boolean' ? options : !!(options && options.capture);
+}
+
+/**
+ * removeRecords(el, predicate): drop matching records; the DOM listener is removed only when no
+ * remaining record shares it (same event, function and capture), since the DOM ignores
+ * duplicate registrations of one handler
+ */
+function removeRecords(el, predicate) {
   const arr = elementHandlers.get(el) || [];
-  const keep = arr.filter((r) => !predicate(r));
+  const removed = [];
+  const keep = arr.filter((rec) => {
+    if (!predicate(rec)) return true;
+    removed.push(rec);
+    return false;
+  });
   if (keep.length) elementHandlers.set(el, keep);
   else elementHandlers.delete(el);
+
+  removed.forEach((rec) => {
+    // last listener of an on()/once()/delegate() call: release it from its owner and signal
+    if (rec.binding && --rec.binding.live === 0) rec.binding.release();
+    const shared = keep.some((k) => k.ev === rec.ev && k.wrapped === rec.wrapped && capture(k.options) === capture(rec.options));
+    if (shared) return;
+    try { el.removeEventListener(rec.ev, rec.wrapped, rec.options); } catch (_) {}
+  });
+}
+
+/**
+ * Internal helper: add one listener per event name and store its record.
+ * - makeRecord(type) -> { orig, wrapped, ...extra }
+ * - the returned unbind removes exactly these listeners; it also runs when options.signal aborts
+ *   or the current owner is disposed
+ */
+function listen(el, events, options, makeRecord) {
+  const signal = options && options.signal;
+  if (signal && signal.aborted) return () => {};
+  // abort is handled here: a native signal would also drop a listener shared with other records
+  let native = options;
+  if (signal) {
+    native = { ...options };
+    delete native.signal;
+  }
+
+  const binding = { live: 0, release: null };
+  const records = normalizeEvents(events).map((name) => {
+    const { type, namespaces } = parseEvent(name);
+    if (!type) return null;
+    // makeRecord may listen to another native event ({ ev, options }, see delegate())
+    const record = { ev: type, ns: namespaces, options: native, binding, ...makeRecord(type, native) };
+    if (record.ev !== type) record.alias = type;
+    el.addEventListener(record.ev, record.wrapped, record.options);
+    storeHandler(el, record);
+    return record;
+  }).filter(Boolean);
+  if (!records.length) return () => {};
+
+  const unbind = () => removeRecords(el, (rec) => records.includes(rec));
+  const releaseOwner = bindToOwner(unbind);
+  binding.live = records.length;
+  binding.release = () => {
+    releaseOwner();
+    if (signal) signal.removeEventListener('abort', unbind);
+  };
+  if (signal) signal.addEventListener('abort', unbind, { once: true });
+  return unbind;
 }
 
+/**
+ * on(el, events, handler, options?)
+ * - events: space-separated string or array; names may carry namespaces ('click.menu')
+ * - options.signal: AbortSignal that removes the listeners when aborted
+ */
 export function on(el, events, handler, options) {
   if (!el || typeof handler !== 'function') return () => {};
-  const evs = normalizeEvents(events);
-  evs.forEach((ev) => {
-    const wrapped = handler;
-    el.addEventListener(ev, wrapped, options);
-    storeHandler(el, { ev, orig: handler, wrapped, options });
-  });
-  return () => off(el, events, handler);
+  return listen(el, events, options, () => ({ orig: handler, wrapped: handler }));
 }
 
-export function off(el, events, handler) {
+/**
+ * off(el, events?, selector?, handler?)
+ * - events: 'click', 'click.menu' (namespaced only), '.menu' (every event in the namespace)
+ *   or omitted for all events
+ * - selector: only delegated listeners registered with that selector
+ * - handler: only listeners registered with that function
+ */
+export function off(el, events, selectorOrHandler, handler) {
   if (!el) return;
-  const stored = elementHandlers.get(el) || [];
-  const evs = events ? normalizeEvents(events) : null;
-
-  stored.forEach((rec) => {
-    const matchEvent = !evs || evs.includes(rec.ev);
-    const matchHandler = !handler || rec.orig === handler;
-    if (matchEvent && matchHandler) {
-      try { el.removeEventListener(rec.ev, rec.wrapped, rec.options); } catch (_) {}
-    }
+  const selector = typeof selectorOrHandler === 'string' ? selectorOrHandler : null;
+  const fn = selector ? handler : selectorOrHandler;
+  const filters = events ? normalizeEvents(events).map(parseEvent) : null;
+
+  removeRecords(el, (rec) => {
+    if (fn && rec.orig !== fn) return false;
+    if (selector && rec.selector !== selector) return false;
+    if (!filters) return true;
+    return filters.some(({ type, namespaces }) => (
+      (!type || rec.ev === type || rec.alias === type) && namespaces.every((ns) => rec.ns.includes(ns))
+    ));
   });
-
-  if (evs || handler) {
-    removeStoredHandlers(el, (rec) => {
-      const matchEvent = !evs || evs.includes(rec.ev);
-      const matchHandler = !handler || rec.orig === handler;
-      return matchEvent && matchHandler;
-    });
-  } else {
-    try { (stored || []).forEach((rec) => el.removeEventListener(rec.ev, rec.wrapped, rec.options)); } catch (_) {}
-    elementHandlers.delete(el);
-  }
 }
 
 export function once(el, events, handler, options) {
   if (!el || typeof handler !== 'function') return () => {};
-  const evs = normalizeEvents(events);
-  const offFns = [];
-
-  evs.forEach((ev) => {
+  return listen(el, events, options, () => {
     const wrapped = function (e) {
-      try { handler.call(this, e); } finally { off(el, ev, handler); }
+      try { handler.call(this, e); } finally { removeRecords(el, (rec) => rec.wrapped === wrapped); }
     };
-    el.addEventListener(ev, wrapped, options);
-    storeHandler(el, { ev, orig: handler, wrapped, options });
-    offFns.push(() => off(el, ev, handler));
+    return { orig: handler, wrapped };
   });
+}
 
-  return () => offFns.forEach((f) => f());
+// Events that do not bubble, delegated through a bubbling counterpart or in the capture phase
+const DELEGATE_MAP = { focus: 'focusin', blur: 'focusout', mouseenter: 'mouseover', mouseleave: 'mouseout' };
+const DELEGATE_CAPTURE = ['load', 'error'];
+
+/**
+ * Internal helper: element matching selector between the event target and root (inclusive).
+ * Uses composedPath() so targets inside open shadow roots are found.
+ */
+function delegateTarget(e, root, selector) {
+  const path = typeof e.composedPath === 'function' ? e.composedPath() : [];
+  if (path.length) {
+    // root itself may match (as with root.contains(match)); nothing above it does
+    for (const node of path) {
+      if (node.nodeType === 1 && node.matches(selector)) return node;
+      if (node === root) return null;
+    }
+    return null;
+  }
+  const base = e.target && e.target.closest ? e.target : e.target && e.target.parentElement ? e.target.parentElement : null;
+  if (!base || !base.closest) return null;
+  const match = base.closest(selector);
+  return match && root.contains(match) ? match : null;
 }
 
+/**
+ * delegate(root, selector, events, handler, options?)
+ * - handler(e, matchedElement) runs with `this` = the element matching selector
+ * - focus/blur listen to focusin/focusout; mouseenter/mouseleave are emulated with
+ *   mouseover/mouseout and relatedTarget (the handler receives the native event);
+ *   load and error are captured
+ */
 export function delegate(root, selector, events, handler, options) {
   if (!root || !selector || typeof handler !== 'function') return () => {};
-  const evs = normalizeEvents(events);
-
-  evs.forEach((ev) => {
+  return listen(root, events, options, (type, native) => {
+    const ev = DELEGATE_MAP[type] || type;
+    const hover = type === 'mouseenter' || type === 'mouseleave';
     const wrapped = function (e) {
-      const base = e.target && e.target.closest ? e.target : e.target && e.target.parentElement ? e.target.parentElement : null;
-      if (!base || !base.closest) return;
-      const match = base.closest(selector);
-      if (match && root.contains(match)) {
-        handler.call(match, e, match);
-      }
+      const match = delegateTarget(e, root, selector);
+      if (!match) return;
+      // moving between descendants of match is not an enter/leave
+      if (hover && e.relatedTarget && match.contains(e.relatedTarget)) return;
+      handler.call(match, e, match);
     };
-    root.addEventListener(ev, wrapped, options);
-    storeHandler(root, { ev, orig: handler, wrapped, options, delegated: true, selector });
+    const record = { ev, orig: handler, wrapped, delegated: true, selector };
+    if (DELEGATE_CAPTURE.includes(type)) {
+      record.options = typeof native === 'object' && native ? { ...native, capture: true } : true;
+    }
+    return record;
   });
-
-  return () => {
-    off(root, events, handler);
-  };
 }
 
 export function trigger(el, name, detail = {}, options = {}) {
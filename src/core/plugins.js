@@ -0,0 +1,170 @@
+// src/core/plugins.js
+// Plugin API for the DOMUtilsCore wrapper: $.plugin(name, fn | definition) / $.fn.
+// - plugins add methods to a wrapper class; a name that already exists (built-in method or
+//   another plugin) is rejected unless { override: true } is passed
+// - $.scope() returns a factory with its own wrapper subclass, so plugins registered there
+//   are not visible to $ or to other scopes
+
+const REGISTRIES = new WeakMap(); // wrapper class -> Map<plugin name, record>
+const RESERVED = ['constructor', 'length', 'nodes', 'prevObject'];
+
+function _registry(Wrapper) {
+  if (!REGISTRIES.has(Wrapper)) REGISTRIES.set(Wrapper, new Map());
+  return REGISTRIES.get(Wrapper);
+}
+
+/**
+ * Internal helper: plugin that installed `method` on Wrapper or one of its base classes
+ */
+function _owner(Wrapper, method) {
+  for (let cls = Wrapper; cls && cls !== Function.prototype; cls = Object.getPrototypeOf(cls)) {
+    const registry = REGISTRIES.get(cls);
+    if (!registry) continue;
+    for (const [name, record] of registry) {
+      if (Object.prototype.hasOwnProperty.call(record.methods, method)) return name;
+    }
+  }
+  return null;
+}
+
+function _normalize(name, definition) {
+  if (typeof definition === 'function') return { methods: { [name]: definition } };
+  if (!definition || typeof definition !== 'object' || !definition.methods || typeof definition.methods !== 'object') {
+    throw new Error(`plugin: "${name}" must be a function or { methods, install?, uninstall? }`);
+  }
+  return definition;
+}
+
+/**
+ * registerPlugin(Wrapper, name, definition, { override, api })
+ * - definition: a function (installed as method `name`) or { methods, install(api), uninstall(api) }
+ * - methods run with `this` = the wrapper; returning undefined returns the wrapper, so calls chain
+ */
+export function registerPlugin(Wrapper, name, definition, options = {}) {
+  if (!name || typeof name !== 'string') throw new Error('plugin: name must be a non-empty string');
+  const registry = _registry(Wrapper);
+  if (registry.has(name)) throw new Error(`plugin: "${name}" is already registered`);
+
+  const { methods, install, uninstall } = _normalize(name, definition);
+  const { override = false, api = null } = options;
+  const proto = Wrapper.prototype;
+
+  Object.keys(methods).forEach((method) => {
+    if (typeof methods[method] !== 'function') throw new Error(`plugin: "${name}.${method}" must be a function`);
+    if (RESERVED.includes(method)) throw new Error(`plugin: "${method}" is a reserved name`);
+    if (method in proto && !override) {
+      const owner = _owner(Wrapper, method);
+      const existing = owner ? `method "${method}" from plugin "${owner}"` : `built-in method "${method}"`;
+      throw new Error(`plugin: "${name}" conflicts with ${existing} (pass { override: true } to replace it)`);
+    }
+  });
+
+  const previous = {}; // own properties replaced with { override: true }, restored on removal
+  Object.keys(methods).forEach((method) => {
+    const fn = methods[method];
+    const descriptor = Object.getOwnPropertyDescriptor(proto, method);
+    if (descriptor) previous[method] = descriptor;
+    Object.defineProperty(proto, method, {
+      configurable: true,
+      writable: true,
+      enumerable: false,
+      value: function pluginMethod(...args) {
+        const result = fn.apply(this, args);
+        return result === undefined ? this : result;
+      }
+    });
+  });
+
+  registry.set(name, { methods, previous, uninstall, api });
+  if (typeof install === 'function') install(api);
+}
+
+/**
+ * removePlugin(Wrapper, name) -> boolean: remove the plugin's methods (restoring overridden ones)
+ */
+export function removePlugin(Wrapper, name) {
+  const registry = _registry(Wrapper);
+  const record = registry.get(name);
+  if (!record) return false;
+  const proto = Wrapper.prototype;
+  Object.keys(record.methods).forEach((method) => {
+    if (record.previous[method]) Object.defineProperty(proto, method, record.previous[method]);
+    else delete proto[method];
+  });
+  registry.delete(name);
+  if (typeof record.uninstall === 'function') record.uninstall(record.api);
+  return true;
+}
+
+/**
+ * hasPlugin(Wrapper, name): registered on Wrapper or inherited from a base class
+ */
+export function hasPlugin(Wrapper, name) {
+  for (let cls = Wrapper; cls && cls !== Function.prototype; cls = Object.getPrototypeOf(cls)) {
+    const registry = REGISTRIES.get(cls);
+    if (registry && registry.has(name)) return true;
+  }
+  return false;
+}
+
+/**
+ * Internal helper: proxy over Wrapper.prototype whose writes go through registerPlugin, so the
+ * jQuery-style `$.fn.name = fn` gets conflict detection and shows up in plugin.list()
+ */
+function _fnProxy(factory, Wrapper) {
+  return new Proxy(Wrapper.prototype, {
+    set(proto, name, value) {
+      if (typeof name !== 'string' || typeof value !== 'function') {
+        throw new Error(`plugin: $.fn.${String(name)} must be a function (use $.plugin() for definitions)`);
+      }
+      registerPlugin(Wrapper, name, value, { api: factory });
+      return true;
+    },
+    defineProperty(proto, name) {
+      throw new Error(`plugin: cannot define $.fn.${String(name)}, assign a function or use $.plugin()`);
+    },
+    deleteProperty(proto, name) {
+      if (!removePlugin(Wrapper, name)) throw new Error(`plugin: "${String(name)}" is not a registered plugin`);
+      return true;
+    }
+  });
+}
+
+/**
+ * installPluginApi(factory, Wrapper): add fn, plugin() and scope() to a factory function
+ * - factory.fn: view of the wrapper prototype; `$.fn.name = fn` registers plugin `name` and
+ *   `delete $.fn.name` removes it
+ * - factory.plugin(name, definition, options) -> factory; .remove(name), .has(name), .list()
+ * - factory.scope() -> new factory whose plugins stay local to it
+ */
+export function installPluginApi(factory, Wrapper) {
+  factory.fn = _fnProxy(factory, Wrapper);
+
+  const plugin = (name, definition, options = {}) => {
+    registerPlugin(Wrapper, name, definition, { ...options, api: factory });
+    return factory;
+  };
+  plugin.remove = (name) => removePlugin(Wrapper, name);
+  plugin.has = (name) => hasPlugin(Wrapper, name);
+  plugin.list = () => Array.from(_registry(Wrapper).keys());
+  factory.plugin = plugin;
+
+  factory.scope = () => {
+    class ScopedWrapper extends Wrapper {}
+    const scoped = (selectorOrNode) => new ScopedWrapper(selectorOrNode);
+    // keep namespaces (gestures, observers, ajax, ...) of the parent factory
+    Object.keys(factory).forEach((key) => {
+      if (!['fn', 'plugin', 'scope'].includes(key)) scoped[key] = factory[key];
+    });
+    return installPluginApi(scoped, ScopedWrapper);
+  };
+
+  return factory;
+}
+
+export default {
+  registerPlugin,
+  removePlugin,
+  hasPlugin,
+  installPluginApi
+};
@@ -1,5 +1,8 @@
 import { isString, isNode, isNodeList } from '../utils/type.js';
 import { on, off, delegate, once as onceEvent } from './events.js';
+import { bindText, bindAttr, bindClass, bindStyle, bindProp } from '../reactive/bindings.js';
+import { normalizeContent, append, prepend, before, after } from './dom-helpers-extended.js';
+import { getData, setData } from './attributes.js';
 
 /**
  * normalizeInput - same semantics as before
@@ -9,6 +12,7 @@ function normalizeInput(selectorOrNode) {
   if (isNode(selectorOrNode)) return [selectorOrNode];
   if (isNodeList(selectorOrNode)) return Array.from(selectorOrNode);
   if (Array.isArray(selectorOrNode)) return selectorOrNode.slice();
+  if (typeof selectorOrNode.toArray === 'function') return selectorOrNode.toArray();
   if (isString(selectorOrNode)) {
     try { return Array.from(document.querySelectorAll(selectorOrNode)); }
     catch (e) { console.warn('Invalid selector', selectorOrNode); return []; }
@@ -16,6 +20,99 @@ function normalizeInput(selectorOrNode) {
   return [];
 }
 
+/**
+ * uniqueSorted - drop duplicates and sort nodes in document order
+ * (nodes from different trees keep their relative order)
+ */
+function uniqueSorted(nodes) {
+  const unique = Array.from(new Set(nodes.filter(Boolean)));
+  return unique.sort((a, b) => {
+    if (a === b || !a.compareDocumentPosition) return 0;
+    const pos = a.compareDocumentPosition(b);
+    if (pos & 1) return 0; // DOCUMENT_POSITION_DISCONNECTED
+    return pos & 4 ? -1 : 1; // DOCUMENT_POSITION_FOLLOWING
+  });
+}
+
+/**
+ * matcher - normalize a traversal filter to a predicate (el, index) -> boolean
+ * - string: CSS selector, function: fn.call(el, el, index), Node / array / wrapper: membership
+ */
+function matcher(selector) {
+  if (selector == null) return () => true;
+  if (typeof selector === 'function') return (el, i) => !!selector.call(el, el, i);
+  if (isString(selector)) {
+    return (el) => {
+      try { return el.nodeType === 1 && el.matches(selector); }
+      catch (e) { console.warn('Invalid selector', selector); return false; }
+    };
+  }
+  const set = new Set(normalizeInput(selector));
+  return (el) => set.has(el);
+}
+
+/**
+ * walk - collect elements reached from `el` by following `step` (e.g. 'parentElement')
+ * until `until` matches; only elements matching `filter` are kept
+ */
+function walk(el, step, until, filter) {
+  const stop = until == null ? () => false : matcher(until);
+  const keep = matcher(filter);
+  const out = [];
+  for (let cur = el[step]; cur && cur.nodeType === 1; cur = cur[step]) {
+    if (stop(cur, out.length)) break;
+    if (keep(cur, out.length)) out.push(cur);
+  }
+  return out;
+}
+
+/**
+ * insertEach - insert `content` at every target with `insert(target, content, options)`;
+ * all targets but the last receive a clone, so several targets each get their own copy
+ */
+function insertEach(targets, content, options, insert) {
+  const last = targets.length - 1;
+  targets.forEach((target, i) => insert(target, content, { ...options, clone: options.clone || i < last }));
+}
+
+/**
+ * toWrapperElement - element used by wrap(): markup string, selector, element or wrapper
+ */
+function toWrapperElement(wrapper, options) {
+  if (isString(wrapper) && wrapper.trim().charAt(0) === '<') {
+    const frag = normalizeContent(wrapper, { ...options, html: true });
+    return frag ? frag.firstElementChild : null;
+  }
+  return normalizeInput(wrapper)[0] || null;
+}
+
+/**
+ * toCssProperty - camelCase style name to its CSS property name ('--custom' names unchanged)
+ */
+function toCssProperty(name) {
+  if (name.startsWith('--')) return name;
+  return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+/**
+ * getValue / setValue - form control values (<select multiple> reads and writes arrays)
+ */
+function getValue(el) {
+  if (el.tagName === 'SELECT' && el.multiple) {
+    return Array.from(el.selectedOptions).map((opt) => opt.value);
+  }
+  return el.value;
+}
+
+function setValue(el, value) {
+  if (el.tagName === 'SELECT' && el.multiple) {
+    const values = (Array.isArray(value) ? value : [value]).map(String);
+    Array.from(el.options).forEach((opt) => { opt.selected = values.includes(opt.value); });
+    return;
+  }
+  if ('value' in el) el.value = value == null ? '' : String(value);
+}
+
 export default class DOMUtilsCore {
   constructor(selectorOrNode) {
     this.nodes = normalizeInput(selectorOrNode);
@@ -24,15 +121,163 @@ export default class DOMUtilsCore {
   get length() { return this.nodes.length; }
   toArray() { return this.nodes.slice(); }
   get(index = 0) { return this.nodes[index]; }
-  eq(index) { return new DOMUtilsCore(this.get(index)); }
+  eq(index) { return this.pushStack([this.get(index < 0 ? this.length + index : index)]); }
+
+  /**
+   * pushStack(nodes) -> new wrapper for nodes that remembers this one (see end())
+   * - new instances use this.constructor so scoped wrappers ($.scope()) keep their plugins
+   */
+  pushStack(nodes) {
+    const next = new this.constructor(nodes.filter(Boolean));
+    next.prevObject = this;
+    return next;
+  }
+
+  /**
+   * end() -> the wrapper this one was derived from (find, filter, parent, ...)
+   */
+  end() { return this.prevObject || new this.constructor([]); }
 
   find(selector) {
     const found = this.nodes.reduce((acc, n) => {
-      if (!n) return acc;
+      if (!n || !n.querySelectorAll) return acc;
       acc.push(...Array.from(n.querySelectorAll(selector)));
       return acc;
     }, []);
-    return new DOMUtilsCore(found);
+    return this.pushStack(uniqueSorted(found));
+  }
+
+  // -----------------------
+  // Traversal
+  // -----------------------
+  // Results are de-duplicated and in document order. `selector` filters may be a CSS selector,
+  // a function (el, index) => boolean, an element, an array of elements or a wrapper.
+
+  parent(selector) {
+    return this.pushStack(uniqueSorted(this.nodes.map((el) => el.parentElement)).filter(matcher(selector)));
+  }
+
+  parents(selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'parentElement', null, selector))));
+  }
+
+  parentsUntil(until, selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'parentElement', until, selector))));
+  }
+
+  /**
+   * closest(selector) -> nearest ancestor-or-self of each element matching selector
+   */
+  closest(selector) {
+    const match = matcher(selector);
+    const found = this.nodes.map((el) => {
+      for (let cur = el; cur && cur.nodeType === 1; cur = cur.parentElement) {
+        if (match(cur, 0)) return cur;
+      }
+      return null;
+    });
+    return this.pushStack(uniqueSorted(found));
+  }
+
+  children(selector) {
+    const match = matcher(selector);
+    const found = this.nodes.flatMap((el) => Array.from(el.children || []).filter((child, i) => match(child, i)));
+    return this.pushStack(uniqueSorted(found));
+  }
+
+  siblings(selector) {
+    const match = matcher(selector);
+    const found = this.nodes.flatMap((el) => {
+      const parent = el.parentElement;
+      if (!parent) return [];
+      return Array.from(parent.children).filter((sib, i) => sib !== el && match(sib, i));
+    });
+    return this.pushStack(uniqueSorted(found));
+  }
+
+  next(selector) {
+    const match = matcher(selector);
+    return this.pushStack(uniqueSorted(this.nodes.map((el) => el.nextElementSibling).filter((el, i) => el && match(el, i))));
+  }
+
+  nextAll(selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'nextElementSibling', null, selector))));
+  }
+
+  nextUntil(until, selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'nextElementSibling', until, selector))));
+  }
+
+  prev(selector) {
+    const match = matcher(selector);
+    return this.pushStack(uniqueSorted(this.nodes.map((el) => el.previousElementSibling).filter((el, i) => el && match(el, i))));
+  }
+
+  prevAll(selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'previousElementSibling', null, selector))));
+  }
+
+  prevUntil(until, selector) {
+    return this.pushStack(uniqueSorted(this.nodes.flatMap((el) => walk(el, 'previousElementSibling', until, selector))));
+  }
+
+  // -----------------------
+  // Filtering
+  // -----------------------
+  filter(selector) {
+    const match = matcher(selector);
+    return this.pushStack(this.nodes.filter((el, i) => match(el, i)));
+  }
+
+  not(selector) {
+    const match = matcher(selector);
+    return this.pushStack(this.nodes.filter((el, i) => !match(el, i)));
+  }
+
+  /**
+   * is(selector) -> true if at least one element matches
+   */
+  is(selector) {
+    if (selector == null) return false;
+    const match = matcher(selector);
+    return this.nodes.some((el, i) => match(el, i));
+  }
+
+  /**
+   * has(selectorOrElement) -> elements with at least one matching descendant
+   */
+  has(selector) {
+    const targets = isString(selector) ? null : normalizeInput(selector);
+    return this.pushStack(this.nodes.filter((el) => {
+      if (targets) return targets.some((t) => t !== el && el.contains(t));
+      try { return !!el.querySelector(selector); } catch (e) { return false; }
+    }));
+  }
+
+  first() { return this.eq(0); }
+  last() { return this.eq(-1); }
+
+  /**
+   * add(selectorOrNodes) -> this selection plus the new elements, in document order
+   */
+  add(selectorOrNodes) {
+    return this.pushStack(uniqueSorted(this.nodes.concat(normalizeInput(selectorOrNodes))));
+  }
+
+  /**
+   * index() -> position of the first element among its element siblings
+   * index(selector) -> position of the first element within the elements matching selector
+   * index(element | wrapper) -> position of that element within this selection
+   */
+  index(target) {
+    const el = this.get(0);
+    if (target == null) {
+      if (!el || !el.parentElement) return -1;
+      return Array.from(el.parentElement.children).indexOf(el);
+    }
+    if (isString(target)) return el ? normalizeInput(target).indexOf(el) : -1;
+    const node = normalizeInput(target)[0];
+    return node ? this.nodes.indexOf(node) : -1;
   }
 
   each(fn) { this.nodes.forEach((n, i) => fn.call(n, n, i)); return this; }
@@ -51,7 +296,8 @@ export default class DOMUtilsCore {
     // direct attach: on(events, handler, options)
     if (typeof selectorOrHandler === 'function' || selectorOrHandler == null) {
       const fn = selectorOrHandler;
-      this.each((el) => on(el, events, fn, options));
+      const opts = options === undefined ? handler : options;
+      this.each((el) => on(el, events, fn, opts));
     } else {
       // delegated: on(events, selector, handler, options)
       const selector = selectorOrHandler;
@@ -62,22 +308,12 @@ export default class DOMUtilsCore {
   }
 
   /**
-   * off(events, selectorOrHandler?, handler?)
-   * - Mirrors .on removal semantics. If selector string provided, removes delegated handler by orig handler.
+   * off(events?, selector?, handler?)
+   * - events may be namespaced ('click.menu') or only a namespace ('.menu')
+   * - with a selector, only delegated handlers registered for that selector are removed
    */
   off(events, selectorOrHandler, handler) {
-    if (!events) return this;
-    // off(events, handler)
-    if (typeof selectorOrHandler === 'function' || selectorOrHandler == null) {
-      const fn = selectorOrHandler;
-      this.each((el) => off(el, events, fn));
-    } else {
-      // off(events, selector, handler) -> remove by handler (delegate stores orig handler)
-      const selector = selectorOrHandler;
-      const fn = handler;
-      // Removing delegated listeners: our core `delegate` stored `orig` (handler) so off will remove by orig.
-      this.each((el) => off(el, events, fn));
-    }
+    this.each((el) => off(el, events, selectorOrHandler, handler));
     return this;
   }
 
@@ -105,8 +341,16 @@ export default class DOMUtilsCore {
     return this;
   }
 
+  /**
+   * toggleClass(name, force?)
+   * - force may be a signal getter: the class then follows it reactively
+   */
   toggleClass(name, force) {
     if (!name) return this;
+    if (typeof force === 'function') {
+      bindClass(this, name, force);
+      return this;
+    }
     this.each((el) => {
       try { 
         if (typeof force === 'boolean') el.classList.toggle(name, force);
@@ -157,4 +401,220 @@ export default class DOMUtilsCore {
       return getComputedStyle(el).display === 'none' || el.hidden === true;
     } catch (_) { return true; }
   }
+
+  // -----------------------
+  // Manipulation
+  // -----------------------
+  // Content may be a Node, DocumentFragment, wrapper, array or string. Strings are inserted as
+  // text unless { html: true } (optionally with sanitizeFn) is passed. When there are several
+  // targets, every target but the last receives a clone of the content.
+
+  append(content, options = {}) {
+    insertEach(this.nodes, content, options, append);
+    return this;
+  }
+
+  prepend(content, options = {}) {
+    insertEach(this.nodes, content, options, prepend);
+    return this;
+  }
+
+  before(content, options = {}) {
+    insertEach(this.nodes, content, options, before);
+    return this;
+  }
+
+  after(content, options = {}) {
+    insertEach(this.nodes, content, options, after);
+    return this;
+  }
+
+  /**
+   * appendTo(target) -> wrapper with the inserted elements (originals plus clones)
+   */
+  appendTo(target) {
+    const targets = normalizeInput(target);
+    const last = targets.length - 1;
+    const inserted = [];
+    targets.forEach((parent, i) => {
+      this.nodes.forEach((el) => {
+        const node = i < last ? el.cloneNode(true) : el;
+        parent.appendChild(node);
+        inserted.push(node);
+      });
+    });
+    return this.pushStack(inserted);
+  }
+
+  /**
+   * wrap(wrapper, options?) -> wraps each element in a copy of wrapper
+   * - wrapper: markup ('<div class="box"><span></span></div>'), selector, element or wrapper;
+   *   elements are placed in its innermost first element
+   */
+  wrap(wrapper, options = {}) {
+    const template = toWrapperElement(wrapper, options);
+    if (!template) return this;
+    this.nodes.forEach((el) => {
+      const box = template.cloneNode(true);
+      let inner = box;
+      while (inner.firstElementChild) inner = inner.firstElementChild;
+      if (el.parentNode) el.parentNode.insertBefore(box, el);
+      inner.appendChild(el);
+    });
+    return this;
+  }
+
+  /**
+   * unwrap(selector?) -> removes the parents (matching selector) and keeps their children in place
+   */
+  unwrap(selector) {
+    const match = matcher(selector);
+    uniqueSorted(this.nodes.map((el) => el.parentElement)).forEach((parent, i) => {
+      if (!parent.parentNode || parent === document.body || !match(parent, i)) return;
+      parent.replaceWith(...parent.childNodes);
+    });
+    return this;
+  }
+
+  /**
+   * replaceWith(content, options?) -> replaces each element; returns the removed elements
+   */
+  replaceWith(content, options = {}) {
+    const targets = this.nodes.filter((el) => el.parentNode);
+    insertEach(targets, content, options, (el, c, opts) => {
+      const node = normalizeContent(c, opts);
+      if (node) el.parentNode.replaceChild(node, el);
+      else el.remove();
+    });
+    return this;
+  }
+
+  /**
+   * remove(selector?) -> detaches the elements (or those matching selector) from the document
+   */
+  remove(selector) {
+    const match = matcher(selector);
+    this.nodes.forEach((el, i) => { if (match(el, i) && el.parentNode) el.parentNode.removeChild(el); });
+    return this;
+  }
+
+  empty() {
+    this.nodes.forEach((el) => { el.textContent = ''; });
+    return this;
+  }
+
+  /**
+   * html() -> innerHTML of the first element
+   * html(markup, { sanitizeFn }) -> sets innerHTML on all elements (markup passed through sanitizeFn)
+   */
+  html(markup, options = {}) {
+    if (arguments.length === 0) {
+      const el = this.get(0);
+      return el ? el.innerHTML : undefined;
+    }
+    const { sanitizeFn = null } = options;
+    const str = markup == null ? '' : String(markup);
+    const safe = typeof sanitizeFn === 'function' ? sanitizeFn(str) : str;
+    this.nodes.forEach((el) => { el.innerHTML = safe; });
+    return this;
+  }
+
+  /**
+   * data() -> copy of the first element's dataset
+   * data(key) -> data-* value of the first element
+   * data(key, value) / data({ key: value }) -> sets data-* on all elements (null/undefined is ignored)
+   */
+  data(keyOrMap, value) {
+    if (arguments.length === 0) {
+      const el = this.get(0);
+      return el && el.dataset ? { ...el.dataset } : undefined;
+    }
+    if (keyOrMap && typeof keyOrMap === 'object') {
+      Object.entries(keyOrMap).forEach(([k, v]) => this.data(k, v));
+      return this;
+    }
+    if (arguments.length < 2) return getData(this.get(0), keyOrMap);
+    this.nodes.forEach((el) => setData(el, keyOrMap, value));
+    return this;
+  }
+
+  /**
+   * val() -> value of the first form control (array for <select multiple>)
+   * val(value) -> sets the value on all controls; an array selects options of <select multiple>
+   */
+  val(value) {
+    if (arguments.length === 0) {
+      const el = this.get(0);
+      return el ? getValue(el) : undefined;
+    }
+    this.nodes.forEach((el) => setValue(el, value));
+    return this;
+  }
+
+  // -----------------------
+  // Reactive bindings (wrapper)
+  // -----------------------
+  // Passing a signal/computed getter keeps every element in sync; plain values are applied once.
+  // Bindings are disposed with the current owner (createRoot/createEffect).
+
+  /**
+   * text() -> textContent of the first element
+   * text(source) -> sets/binds textContent on all elements
+   */
+  text(source) {
+    if (arguments.length === 0) {
+      const el = this.get(0);
+      return el ? el.textContent : undefined;
+    }
+    bindText(this, source);
+    return this;
+  }
+
+  /**
+   * attr(name) -> attribute of the first element
+   * attr(name, source) / attr({ name: source }) -> sets/binds attributes on all elements
+   * (false/null removes them)
+   */
+  attr(name, source) {
+    if (name && typeof name === 'object') {
+      Object.entries(name).forEach(([k, v]) => bindAttr(this, k, v));
+      return this;
+    }
+    if (arguments.length < 2) {
+      const el = this.get(0);
+      return el && el.getAttribute ? el.getAttribute(name) : undefined;
+    }
+    bindAttr(this, name, source);
+    return this;
+  }
+
+  /**
+   * prop(name) -> property of the first element
+   * prop(name, source) / prop({ name: source }) -> sets/binds properties on all elements
+   */
+  prop(name, source) {
+    if (name && typeof name === 'object') {
+      Object.entries(name).forEach(([k, v]) => bindProp(this, k, v));
+      return this;
+    }
+    if (arguments.length < 2) {
+      const el = this.get(0);
+      return el ? el[name] : undefined;
+    }
+    bindProp(this, name, source);
+    return this;
+  }
+
+  /**
+   * css(prop) -> computed style of the first element ('backgroundColor' or 'background-color')
+   * css(prop, source) / css({ prop: source }) -> sets/binds inline styles on all elements
+   */
+  css(propOrMap, source) {
+    if (typeof propOrMap === 'string' && arguments.length < 2) {
+      const el = this.get(0);
+      return el ? getComputedStyle(el).getPropertyValue(toCssProperty(propOrMap)) : undefined;
+    }
+    bindStyle(this, propOrMap, source);
+    return this;
+  }
 }
@@ -11,11 +11,39 @@ export interface DOMUtilsCore {
   length: number;
   nodes: Element[];
 
+  /** Wrapper this one was derived from (see end()) */
+  prevObject?: DOMUtilsCore;
+
   // Navigation
   get(index?: number): Element | undefined;
-  eq(index: number): DOMUtilsCore;
+  /** Negative indexes count from the end */
+  eq(index: number): this;
   toArray(): Element[];
-  find(selector: string): DOMUtilsCore;
+  find(selector: string): this;
+  pushStack(nodes: Element[]): this;
+  end(): DOMUtilsCore;
+
+  // Traversal (results de-duplicated, in document order)
+  parent(selector?: WrapperFilter): this;
+  parents(selector?: WrapperFilter): this;
+  parentsUntil(until?: WrapperFilter, selector?: WrapperFilter): this;
+  closest(selector: WrapperFilter): this;
+  children(selector?: WrapperFilter): this;
+  siblings(selector?: WrapperFilter): this;
+  next(selector?: WrapperFilter): this;
+  nextAll(selector?: WrapperFilter): this;
+  nextUntil(until?: WrapperFilter, selector?: WrapperFilter): this;
+  prev(selector?: WrapperFilter): this;
+  prevAll(selector?: WrapperFilter): this;
+  prevUntil(until?: WrapperFilter, selector?: WrapperFilter): this;
+  filter(selector: WrapperFilter): this;
+  not(selector: WrapperFilter): this;
+  is(selector: WrapperFilter): boolean;
+  has(selector: string | Element | Element[] | DOMUtilsCore): this;
+  first(): this;
+  last(): this;
+  add(selector: Selector | DOMUtilsCore): this;
+  index(target?: string | Element | DOMUtilsCore): number;
 
   // Iteration
   each(fn: (el: Element, index: number) => void): this;
@@ -26,7 +54,9 @@ export interface DOMUtilsCore {
   // Events - Delegated
   on(events: string, selector: string, handler: (e: Event, el: Element) => void, options?: AddEventListenerOptions): this;
   
-  off(events: string, handler?: (e: Event) => void): this;
+  /** events may be namespaced ('click.menu') or a namespace only ('.menu') */
+  off(events?: string, handler?: (e: Event) => void): this;
+  /** Only removes delegated handlers registered for selector */
   off(events: string, selector: string, handler?: (e: Event) => void): this;
   
   once(events: string, handler: (e: Event) => void, options?: AddEventListenerOptions): this;
@@ -34,14 +64,92 @@ export interface DOMUtilsCore {
   // Classes
   addClass(name: string): this;
   removeClass(name: string): this;
-  toggleClass(name: string, force?: boolean): this;
+  toggleClass(name: string, force?: boolean | (() => any)): this;
 
   // Visibility
   show(): this;
   hide(): this;
   isHidden(): boolean;
+
+  // Manipulation (getters read the first element, setters write to all; several targets get clones)
+  append(content: InsertContent, options?: InsertOptions): this;
+  prepend(content: InsertContent, options?: InsertOptions): this;
+  before(content: InsertContent, options?: InsertOptions): this;
+  after(content: InsertContent, options?: InsertOptions): this;
+  /** Returns the inserted elements (originals plus clones) */
+  appendTo(target: Selector | DOMUtilsCore): this;
+  wrap(wrapper: string | Element | DOMUtilsCore, options?: InsertOptions): this;
+  unwrap(selector?: WrapperFilter): this;
+  replaceWith(content: InsertContent, options?: InsertOptions): this;
+  remove(selector?: WrapperFilter): this;
+  empty(): this;
+  html(): string | undefined;
+  html(markup: string, options?: { sanitizeFn?: (html: string) => string }): this;
+  data(): Record<string, string> | undefined;
+  data(key: string): string | undefined;
+  data(key: string, value: unknown): this;
+  data(values: Record<string, unknown>): this;
+  val(): string | string[] | undefined;
+  val(value: string | number | string[] | null): this;
+
+  // Reactive bindings (a getter keeps every element in sync)
+  text(): string | undefined;
+  text(source: BindingSource<any>): this;
+  attr(name: string): string | null | undefined;
+  attr(name: string, source: BindingSource<string | number | boolean | null | undefined>): this;
+  attr(values: Record<string, BindingSource<string | number | boolean | null | undefined>>): this;
+  prop(name: string): any;
+  prop(name: string, source: BindingSource<any>): this;
+  prop(values: Record<string, BindingSource<any>>): this;
+  css(prop: string): string | undefined;
+  css(prop: string, source: BindingSource<string | number | null | undefined | false>): this;
+  css(styles: Record<string, BindingSource<string | number | null | undefined | false>>): this;
+}
+
+// Plugins: add methods with $.plugin() and declare them by merging into DOMUtilsCore:
+//   declare module 'domutils-library' { interface DOMUtilsCore { drag(options?: DragOptions): DragController } }
+
+export interface PluginDefinition<M extends Record<string, (...args: any[]) => any>> {
+  /** Methods added to the wrapper; returning undefined returns the wrapper (chainable) */
+  methods: M & ThisType<DOMUtilsCore>;
+  /** Called once when the plugin is registered */
+  install?(api: typeof DOMUtilsLibrary): void;
+  /** Called when the plugin is removed with $.plugin.remove(name) */
+  uninstall?(api: typeof DOMUtilsLibrary): void;
+}
+
+export interface PluginOptions {
+  /** Replace an existing method (built-in or from another plugin) instead of throwing */
+  override?: boolean;
+}
+
+export interface PluginRegistrar {
+  (name: string, fn: (this: DOMUtilsCore, ...args: any[]) => any, options?: PluginOptions): typeof DOMUtilsLibrary;
+  <M extends Record<string, (...args: any[]) => any>>(name: string, definition: PluginDefinition<M>, options?: PluginOptions): typeof DOMUtilsLibrary;
+  remove(name: string): boolean;
+  has(name: string): boolean;
+  list(): string[];
+}
+
+/** Content for insertion helpers; strings are text unless { html: true } */
+export type InsertContent = Node | DocumentFragment | DOMUtilsCore | string | number | Array<Node | string> | null | undefined;
+
+export interface InsertOptions {
+  /** Parse strings as HTML */
+  html?: boolean;
+  /** Applied to HTML strings before parsing (e.g. DOMPurify.sanitize) */
+  sanitizeFn?: (html: string) => string;
+  /** Insert deep clones instead of moving nodes */
+  clone?: boolean;
 }
 
+/** CSS selector, predicate, element(s) or wrapper used by traversal filters */
+export type WrapperFilter = string | Element | Element[] | DOMUtilsCore | ((this: Element, el: Element, index: number) => boolean);
+
+/** Signal/computed getter (tracked) or a plain value */
+export type BindingSource<T> = T | (() => T);
+export type BindingTarget = Element | Element[] | NodeList | DOMUtilsCore | null | undefined;
+
 // Selector types
 export type Selector = string | Element | NodeList | Element[] | null;
 
@@ -49,14 +157,46 @@ export type Selector = string | Element | NodeList | Element[] | null;
 // Signal Types
 // ============================================
 
+export interface SignalGetter<T> {
+  (): T;
+  peek(): T;
+}
+
 export type Signal<T> = [
-  get: () => T,
+  /** also async iterable: yields the current value, then every change */
+  get: SignalGetter<T> & AsyncIterable<T>,
   set: (value: T | ((prev: T) => T)) => T,
   subscribe: (fn: () => void) => () => void
 ];
 
+export interface ComponentInstance<P extends object> {
+  name: string;
+  el: Element;
+  props: P & StateProxy;
+  exposed: any;
+  mounted: boolean;
+  setProps(partial: Partial<P>): void;
+  unmount(): void;
+}
+
+export interface ReactiveGraphNode {
+  name: string;
+  type: 'signal' | 'computed' | 'state' | 'effect' | 'subscriber';
+  node: any;
+  runs?: number;
+}
+
+export interface PersistSignalOptions<T = any> {
+  type?: 'local' | 'session';
+  ttl?: number;
+  serialize?: (value: T) => any;
+  deserialize?: (stored: any) => T;
+  sync?: boolean;
+}
+
 export interface StateProxy {
-  subscribe(fn: (key: string, oldVal: any, newVal: any) => void): () => void;
+  /** key is dotted for nested changes ('user.name'); path holds the same keys as an array (Map keys / Set values as-is) */
+  subscribe(fn: (key: string, oldVal: any, newVal: any, path: any[]) => void): () => void;
   inspect(): Record<string, any>;
 }
 
@@ -131,6 +271,7 @@ export interface AjaxOptions {
   responseType?: 'text' | 'json' | 'blob' | 'arrayBuffer' | 'formData';
   timeout?: number;
   credentials?: 'same-origin' | 'include' | 'omit';
+  signal?: AbortSignal;
 }
 
 // ============================================
@@ -156,6 +297,43 @@ export interface TabsOptions {
   useHash?: boolean;
 }
 
+export interface RouteDefinition {
+  path: string;
+  name?: string;
+  meta?: Record<string, any>;
+  /** Return false to cancel or a path to redirect; may be async */
+  beforeEnter?: (to: RouteLocation, from: RouteLocation | null) => RouteGuardResult | Promise<RouteGuardResult>;
+  /** Result is stored as route().data */
+  load?: (to: RouteLocation, info: { signal?: AbortSignal }) => any;
+}
+
+export type RouteGuardResult = boolean | string | { path: string } | void;
+
+export interface RouteLocation {
+  path: string;
+  fullPath: string;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  hash: string;
+  name: string | null;
+  meta: Record<string, any>;
+  data: any;
+  /** matched route definition, null when nothing matched */
+  matched: RouteDefinition | null;
+}
+
+export interface RouterOptions {
+  routes?: RouteDefinition[];
+  mode?: 'history' | 'hash';
+  base?: string;
+  root?: Element | Document | null;
+  linkSelector?: string | null;
+  scroll?: boolean | ((to: RouteLocation, from: RouteLocation, saved: { x: number; y: number } | null) => { x?: number; y?: number } | false | null);
+  beforeEach?: (to: RouteLocation, from: RouteLocation | null) => RouteGuardResult | Promise<RouteGuardResult>;
+  afterEach?: (to: RouteLocation, from: RouteLocation | null) => void;
+  onError?: (error: any, to: RouteLocation) => void;
+}
+
 export interface TooltipOptions {
   placement?: 'top' | 'bottom' | 'left' | 'right';
   offset?: number;
@@ -184,6 +362,13 @@ export const $: typeof DOMUtilsLibrary;
 export namespace DOMUtilsLibrary {
   const version: string;
 
+  // Plugins
+  /** Wrapper prototype; assigning a function registers it as a plugin, delete removes it */
+  const fn: DOMUtilsCore & Record<string, any>;
+  const plugin: PluginRegistrar;
+  /** Factory with its own wrapper subclass: plugins registered on it stay local */
+  function scope(): typeof DOMUtilsLibrary;
+
   // Gestures
   function onSwipe(el: Element, cb: (info: SwipeInfo) => void, opts?: SwipeOptions): () => void;
   function createDragController(target: Element | string, opts?: DragOptions): DragController;
@@ -193,7 +378,11 @@ export namespace DOMUtilsLibrary {
   function getY(e: Event): number;
 
   // Observers
-  function onVisible(target: Element | string, cb: (entry: IntersectionObserverEntry, obs: IntersectionObserver) => void, opts?: IntersectionObserverInit): ObserverHandle;
+  function onVisible(
+    target: Element | string,
+    cb: (entry: IntersectionObserverEntry, obs: IntersectionObserver) => void,
+    opts?: IntersectionObserverInit & { onHidden?: (entry: IntersectionObserverEntry, obs: IntersectionObserver) => void }
+  ): ObserverHandle;
   function onResize(target: Element | string, cb: (rect: DOMRect, entry: ResizeObserverEntry) => void, opts?: any): ObserverHandle;
   function onMutation(target: Element | string, cb: (mutations: MutationRecord[], obs: MutationObserver) => void, opts?: MutationObserverInit): ObserverHandle;
 
@@ -321,10 +510,142 @@ export namespace DOMUtilsLibrary {
 
   // Reactive
   const reactive: {
-    createSignal<T>(initial: T): Signal<T>;
-    createEffect(fn: () => void | (() => void)): () => void;
-    createComputed<T>(fn: () => T): () => T;
-    $state<T extends object>(initial: T): T & StateProxy;
+    createSignal<T>(initial: T, options?: { equals?: false | ((prev: T, next: T) => boolean); name?: string }): Signal<T>;
+    createEffect(fn: () => void | (() => void) | Promise<unknown>, options?: { name?: string }): () => void;
+    createComputed<T>(fn: () => T, options?: { name?: string }): SignalGetter<T>;
+    $state<T extends object>(
+      initial: T,
+      options?: {
+        equals?: false | ((prev: any, next: any) => boolean);
+        name?: string;
+        persist?: { load(): any; save(value: any): any; watch?(fn: (value: any) => void): () => void };
+      }
+    ): T & StateProxy;
+    batch<T>(fn: () => T): T;
+    setScheduler(mode: 'sync' | 'microtask'): 'sync' | 'microtask';
+    flushSync(): void;
+    tick(): Promise<void>;
+    untrack<T>(fn: () => T): T;
+    on<T, R>(
+      deps: (() => T) | Array<() => any>,
+      fn: (input: T, prevInput: T | undefined, prevValue: R | undefined) => R,
+      options?: { defer?: boolean }
+    ): () => R | undefined;
+    createSelector<T, K = T>(source: () => T, fn?: (key: K, value: T) => boolean): (key: K) => boolean;
+    createRoot<T>(fn: (dispose: () => void) => T): T;
+    onCleanup<T extends () => void>(fn: T): T;
+    getOwner(): object | null;
+    runWithOwner<T>(owner: object | null, fn: () => T): T;
+    shallowEqual(a: any, b: any): boolean;
+    deepEqual(a: any, b: any): boolean;
+    toRaw<T>(value: T): T;
+    setDebug(enabled?: boolean): boolean;
+    getDependencies(effectOrComputed: (() => void) | SignalGetter<any>): ReactiveGraphNode[];
+    getObservers(signalOrState: SignalGetter<any> | object, prop?: PropertyKey): ReactiveGraphNode[];
+    getRunCount(effectOrComputed: (() => void) | SignalGetter<any>): number;
+    catchError<T>(fn: () => T, handler: (error: any, info: { type: string; name: string }) => void): T | undefined;
+    onReactiveError(fn: (error: any, info: { type: string; name: string; handled: boolean }) => void): () => void;
+    createResource<T, S = true>(
+      source: S | (() => S | false | null | undefined),
+      fetcher: (source: S, info: { signal?: AbortSignal; refetching: unknown; value: T | undefined }) => T | Promise<T>,
+      options?: { initialValue?: T }
+    ): {
+      data: SignalGetter<T | undefined>;
+      loading: SignalGetter<boolean>;
+      error: SignalGetter<any>;
+      refetch(info?: unknown): Promise<T | undefined>;
+      mutate(value: T | undefined): T | undefined;
+    };
+    bindText(target: BindingTarget, source: BindingSource<any>): () => void;
+    bindAttr(target: BindingTarget, name: string, source: BindingSource<any>): () => void;
+    bindClass(target: BindingTarget, nameOrMap: string | Record<string, BindingSource<any>>, source?: BindingSource<any>): () => void;
+    bindStyle(target: BindingTarget, propOrMap: string | Record<string, BindingSource<any>>, source?: BindingSource<any>): () => void;
+    bindProp(target: BindingTarget, name: string, source: BindingSource<any>): () => void;
+    model(
+      target: BindingTarget,
+      source: [() => any, (value: any) => any, ...any[]] | [object, string | string[]],
+      options?: { lazy?: boolean; parse?: (value: any, el: Element) => any; event?: string }
+    ): () => void;
+    bindValue(
+      target: BindingTarget,
+      source: [() => any, (value: any) => any, ...any[]] | [object, string | string[]],
+      options?: { lazy?: boolean; parse?: (value: any, el: Element) => any; event?: string }
+    ): () => void;
+    renderList<T>(
+      container: Element | { toArray(): Element[] },
+      items: Iterable<T> | (() => Iterable<T> | null | undefined),
+      options: {
+        key?: (item: T, index: number) => any;
+        render: (item: T, index: SignalGetter<number>) => Node | string | null | undefined;
+        update?: (node: Node, item: T, index: SignalGetter<number>) => void;
+      }
+    ): () => void;
+    html(strings: TemplateStringsArray, ...values: any[]): { fragment: DocumentFragment; dispose(): void };
+    withHistory<T extends object>(
+      state: T & StateProxy,
+      options?: { limit?: number; debounce?: number }
+    ): {
+      undo(): boolean;
+      redo(): boolean;
+      canUndo: SignalGetter<boolean>;
+      canRedo: SignalGetter<boolean>;
+      transaction<R>(fn: () => R): R;
+      snapshot(): T;
+      restore(snapshot: T): void;
+      clear(): void;
+      dispose(): void;
+    };
+    persist<T = any>(
+      key: string,
+      options?: PersistSignalOptions<T>
+    ): {
+      key: string;
+      load(): T | undefined;
+      save(value: T | undefined): boolean;
+      watch(fn: (value: T | undefined) => void): () => void;
+    };
+    createPersistedSignal<T>(
+      key: string,
+      initial: T,
+      options?: PersistSignalOptions<T> & { equals?: false | ((prev: T, next: T) => boolean) }
+    ): Signal<T>;
+    mediaQuery(query: string): SignalGetter<boolean>;
+    prefersReducedMotion(): SignalGetter<boolean>;
+    prefersColorScheme(): () => 'dark' | 'light';
+    windowSize(): SignalGetter<{ width: number; height: number }>;
+    scrollPosition(target?: Window | Element | string): SignalGetter<{ x: number; y: number }>;
+    elementSize(target: Element | string): SignalGetter<{ width: number; height: number }>;
+    isVisible(target: Element | string, options?: IntersectionObserverInit): SignalGetter<boolean>;
+    online(): SignalGetter<boolean>;
+    documentVisible(): SignalGetter<boolean>;
+    fromObservable<T>(observable: { subscribe(observer: any): any } | { [key: string]: any }, initial?: T): SignalGetter<T>;
+    fromAsyncIterable<T>(iterable: AsyncIterable<T> | AsyncIterator<T>, initial?: T): SignalGetter<T>;
+    toObservable<T>(getter: () => T): {
+      subscribe(observer?: { next?(value: T): void; error?(error: any): void; complete?(): void } | ((value: T) => void)): {
+        readonly closed: boolean;
+        unsubscribe(): void;
+      };
+    };
+    defineComponent<P extends object = {}>(options: {
+      name?: string;
+      props?: P | (() => P);
+      setup(
+        props: P & StateProxy,
+        context: {
+          el: Element;
+          emit(event: string, detail?: any): CustomEvent;
+          onMount(fn: () => void | (() => void)): void;
+          onDestroy(fn: () => void): void;
+        }
+      ): any;
+      onError?: (error: any, info: { type: string; name: string }) => void;
+    }): {
+      name: string;
+      mount(target: Element | string, props?: Partial<P>): ComponentInstance<P>;
+    };
+    onMount(fn: () => void | (() => void)): void;
+    onDestroy(fn: () => void): void;
+    getComponent(target: Element | string): ComponentInstance<any> | null;
   };
 
   // Gestures namespace
@@ -381,6 +702,26 @@ export class Tabs {
   destroy(): void;
 }
 
+/**
+ * Client-side router with a reactive route() signal
+ */
+export class Router {
+  constructor(options?: RouterOptions);
+  route: SignalGetter<RouteLocation | null>;
+  pending: SignalGetter<boolean>;
+  /** Resolves once the initial location has been handled */
+  ready: Promise<boolean>;
+  navigate(path: string, options?: { replace?: boolean }): Promise<boolean>;
+  push(path: string): Promise<boolean>;
+  replace(path: string): Promise<boolean>;
+  back(): void;
+  forward(): void;
+  match(path: string): RouteLocation;
+  href(path: string): string;
+  isActive(path: string, exact?: boolean): boolean;
+  destroy(): void;
+}
+
 /**
  * Tooltip component with positioning
  */
@@ -399,6 +740,7 @@ export interface DOMUtilsRoot {
   version: string;
   Modal: typeof Modal;
   Tabs: typeof Tabs;
+  Router: typeof Router;
   Tooltip: typeof Tooltip;
 }
 
@@ -10,10 +10,21 @@ import * as EventsExt from './core/event-helpers.js';
 import * as ModalModule from './modules/modal.js';
 import * as TooltipModule from './modules/tooltip.js';
 import * as TabsModule from './modules/tabs.js';
+import * as RouterModule from './modules/router.js';
 
 import * as AjaxModule from './modules/ajax.js';
 import * as AnimModule from './animations/animate.js';
 import * as Reactive from './reactive/signals.js';
+import * as Resource from './reactive/resource.js';
+import * as Bindings from './reactive/bindings.js';
+import * as Model from './reactive/model.js';
+import * as List from './reactive/list.js';
+import * as Html from './reactive/html.js';
+import * as History from './reactive/history.js';
+import * as Persisted from './reactive/persisted.js';
+import * as Browser from './reactive/browser.js';
+import * as ObservableInterop from './reactive/observable.js';
+import * as Component from './reactive/component.js';
 
 import * as Gestures from './gestures/index.js';
 import * as Observers from './observers/index.js';
@@ -41,6 +52,7 @@ const DOMUtilsRoot = {
   Modal: ModalModule.Modal,
   Tooltip: TooltipModule.Tooltip,
   Tabs: TabsModule.Tabs,
+  Router: RouterModule.Router,
 
   // AJAX namespace
   ajax: {
@@ -54,12 +66,23 @@ const DOMUtilsRoot = {
 
   // Reactive namespace
   reactive: {
-    ...Reactive
+    ...Reactive,
+    ...Resource,
+    ...Bindings,
+    ...Model,
+    ...List,
+    ...Html,
+    ...History,
+    ...Persisted,
+    ...Browser,
+    ...ObservableInterop,
+    ...Component
   }
 };
 
 // Factory compatibility: expose function-style API similar to legacy
 import DOMUtilsCore from './core/wrapper.js';
+import { installPluginApi } from './core/plugins.js';
 
 /**
  * DOMUtilsLibrary(selector) -> returns DOMUtilsCore instance (factory)
@@ -77,6 +100,9 @@ DOMUtilsLibrary.utils = { ...Utils, ...Sugar };
 DOMUtilsLibrary.storage = Storage;
 DOMUtilsLibrary.version = '0.1.0';
 
+// $.plugin(name, fn) / $.fn / $.scope()
+installPluginApi(DOMUtilsLibrary, DOMUtilsCore);
+
 // Alias $
 export const $ = DOMUtilsLibrary;
 
@@ -10,7 +10,8 @@
  *   headers: object,
  *   responseType: 'text'|'json'|'blob'|'formData'|'arrayBuffer',
  *   timeout: ms (0 = no timeout),
- *   credentials: 'same-origin'|'include'|'omit'
+ *   credentials: 'same-origin'|'include'|'omit',
+ *   signal: AbortSignal (optional, aborts the request together with the internal controller)
  * }
  */
 export async function ajax(options = {}) {
@@ -22,6 +23,7 @@ export async function ajax(options = {}) {
     responseType = 'text',
     timeout = 0,
     credentials = 'same-origin',
+    signal = null,
   } = options;
 
   if (!url) throw new Error('ajax: url is required');
@@ -50,6 +52,13 @@ export async function ajax(options = {}) {
   const controller = new AbortController();
   fetchOptions.signal = controller.signal;
 
+  // link the caller's signal to our controller
+  const onExternalAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onExternalAbort, { once: true });
+  }
+
   let timeoutId = null;
   if (timeout > 0) {
     timeoutId = setTimeout(() => controller.abort(), timeout);
@@ -59,10 +68,15 @@ export async function ajax(options = {}) {
   try {
     res = await fetch(url, fetchOptions);
   } catch (err) {
-    if (err && err.name === 'AbortError') throw new Error('ajax: request aborted (timeout or cancelled)');
+    if (err && err.name === 'AbortError') {
+      const abortErr = new Error('ajax: request aborted (timeout or cancelled)');
+      abortErr.name = 'AbortError';
+      throw abortErr;
+    }
     throw err;
   } finally {
     if (timeoutId != null) clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onExternalAbort);
   }
 
   if (!res.ok) {
@@ -0,0 +1,363 @@
+// src/modules/router.js
+// Client-side router: history or hash mode, route patterns with params and wildcards,
+// async guards and loaders, scroll handling and a reactive route() signal.
+
+import { createSignal, batch } from '../reactive/signals.js';
+import { delegate, on } from '../core/events.js';
+
+const MAX_REDIRECTS = 10;
+let ENTRY_ID = 0;
+
+function _escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Internal helper: turn '/users/:id/:tab?/*' into a RegExp and the list of param names.
+ * - :name matches one segment, :name? makes it optional
+ * - * matches the rest of the path (params['*'])
+ */
+function _compile(path) {
+  const keys = [];
+  const source = String(path).split('/').filter(Boolean).map((segment) => {
+    if (segment === '*') {
+      keys.push('*');
+      return '(?:/(.*))?';
+    }
+    if (segment[0] === ':') {
+      const optional = segment.endsWith('?');
+      keys.push(segment.slice(1, optional ? -1 : undefined));
+      return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+    }
+    return `/${_escape(segment)}`;
+  }).join('');
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function _decode(value) {
+  try { return decodeURIComponent(value); } catch (_) { return value; }
+}
+
+/**
+ * Internal helper: split '/path?query#hash' into its parts.
+ */
+function _parse(fullPath) {
+  let rest = String(fullPath || '/');
+  let hash = '';
+  let search = '';
+  const hashIndex = rest.indexOf('#');
+  if (hashIndex >= 0) {
+    hash = rest.slice(hashIndex);
+    rest = rest.slice(0, hashIndex);
+  }
+  const queryIndex = rest.indexOf('?');
+  if (queryIndex >= 0) {
+    search = rest.slice(queryIndex);
+    rest = rest.slice(0, queryIndex);
+  }
+  const path = rest[0] === '/' ? rest : `/${rest}`;
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => { query[key] = value; });
+  return { path, query, hash, fullPath: path + search + hash };
+}
+
+export class Router {
+  /**
+   * @param {Object} options
+   * - routes: [{ path, name, meta, beforeEnter(to, from), load(to, { signal }) }], first match wins
+   * - mode: 'history' (default) or 'hash' (#/path)
+   * - base: path prefix in history mode (e.g. '/app')
+   * - root / linkSelector: clicks on matching links inside root are handled by the router
+   * - scroll: true (top on navigation, saved position on back/forward), false, or
+   *   fn(to, from, savedPosition) -> { x, y } | false
+   * - beforeEach(to, from), afterEach(to, from), onError(error, to)
+   *
+   * Guards may be async; return false to cancel or a path to redirect.
+   * Loaders run after the guards; their result is available as route().data.
+   */
+  constructor(options = {}) {
+    this.opts = Object.assign({
+      routes: [],
+      mode: 'history',
+      base: '',
+      root: document,
+      linkSelector: 'a[href]',
+      scroll: true,
+      beforeEach: null,
+      afterEach: null,
+      onError: null
+    }, options);
+    if (!['history', 'hash'].includes(this.opts.mode)) {
+      throw new Error(`Router: unknown mode "${this.opts.mode}"`);
+    }
+
+    this._base = this.opts.base.replace(/\/+$/, '');
+    this._routes = this.opts.routes.map((def) => {
+      if (!def || typeof def.path !== 'string') throw new Error('Router: every route needs a path');
+      return { def, ..._compile(def.path) };
+    });
+
+    const [route, setRoute] = createSignal(null);
+    const [pending, setPending] = createSignal(false);
+    // route(): current route { path, fullPath, params, query, hash, name, meta, data, matched }
+    this.route = route;
+    // pending(): true while guards and loaders run
+    this.pending = pending;
+    this._setRoute = setRoute;
+    this._setPending = setPending;
+
+    this._navId = 0;
+    this._controller = null;
+    this._key = null;
+    this._positions = new Map(); // history entry key -> { x, y }
+    this._unbind = [];
+
+    this._init();
+  }
+
+  _init() {
+    const popEvent = this.opts.mode === 'hash' ? 'hashchange' : 'popstate';
+    this._unbind.push(on(window, popEvent, () => this._onPop()));
+
+    if (this.opts.root && this.opts.linkSelector) {
+      this._unbind.push(delegate(this.opts.root, this.opts.linkSelector, 'click', (e, link) => this._onLinkClick(e, link)));
+    }
+
+    if (this.opts.scroll && 'scrollRestoration' in history) {
+      this._scrollRestoration = history.scrollRestoration;
+      history.scrollRestoration = 'manual';
+    }
+
+    this._key = (history.state && history.state.key) || this._newKey();
+    this._writeUrl(this._readUrl(), true);
+    // resolves once the initial location has been matched (guards and loaders included)
+    this.ready = this._navigate(this._readUrl(), { replace: true, pop: true });
+  }
+
+  _newKey() {
+    return `${Date.now().toString(36)}-${++ENTRY_ID}`;
+  }
+
+  /**
+   * Current location as '/path?query#hash', relative to base (history) or from the hash (hash mode)
+   */
+  _readUrl() {
+    if (this.opts.mode === 'hash') return location.hash.slice(1) || '/';
+    let path = location.pathname;
+    if (this._base && path.startsWith(this._base)) path = path.slice(this._base.length);
+    return (path || '/') + location.search + location.hash;
+  }
+
+  _writeUrl(fullPath, replace) {
+    const url = this.href(fullPath);
+    try {
+      history[replace ? 'replaceState' : 'pushState']({ key: this._key }, '', url);
+    } catch (_) {}
+  }
+
+  /**
+   * href(path) -> URL to put in an <a href> for this router's mode and base
+   */
+  href(path) {
+    const { fullPath } = _parse(path);
+    if (this.opts.mode === 'hash') return `${location.pathname}${location.search}#${fullPath}`;
+    return this._base + fullPath;
+  }
+
+  /**
+   * match(path) -> route object for a path, without navigating (matched is null when nothing matches)
+   */
+  match(path) {
+    const parsed = _parse(path);
+    for (const { def, regex, keys } of this._routes) {
+      const result = regex.exec(parsed.path);
+      if (!result) continue;
+      const params = {};
+      keys.forEach((key, i) => {
+        if (result[i + 1] !== undefined) params[key] = _decode(result[i + 1]);
+      });
+      return { ...parsed, params, name: def.name || null, meta: def.meta || {}, data: undefined, matched: def };
+    }
+    return { ...parsed, params: {}, name: null, meta: {}, data: undefined, matched: null };
+  }
+
+  /**
+   * navigate(path, { replace }) -> Promise<boolean>
+   * Resolves false when a guard cancels, a newer navigation starts or a loader fails.
+   */
+  navigate(path, options = {}) {
+    return this._navigate(path, { replace: !!options.replace, pop: false });
+  }
+
+  /**
+   * Alias of navigate(path)
+   */
+  push(path) {
+    return this.navigate(path);
+  }
+
+  replace(path) {
+    return this.navigate(path, { replace: true });
+  }
+
+  back() {
+    history.back();
+  }
+
+  forward() {
+    history.forward();
+  }
+
+  /**
+   * isActive(path, exact = false): tracked read of route(); prefix match unless exact
+   * (e.g. bindClass(link, 'active', () => router.isActive('/users')))
+   */
+  isActive(path, exact = false) {
+    const current = this.route();
+    if (!current) return false;
+    const target = _parse(path).path.replace(/\/+$/, '') || '/';
+    const actual = current.path.replace(/\/+$/, '') || '/';
+    if (exact || target === '/') return actual === target;
+    return actual === target || actual.startsWith(`${target}/`);
+  }
+
+  async _navigate(path, { replace, pop, redirects = 0 }) {
+    const id = ++this._navId;
+    if (this._controller) this._controller.abort();
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this._controller = controller;
+
+    const from = this.route.peek();
+    const to = this.match(path);
+    const stale = () => id !== this._navId;
+    this._setPending(true);
+
+    try {
+      const guards = [this.opts.beforeEach, to.matched && to.matched.beforeEnter];
+      for (const guard of guards) {
+        if (typeof guard !== 'function') continue;
+        const result = await guard(to, from);
+        if (stale()) return false;
+        if (result === false) {
+          this._cancel(pop, from);
+          return false;
+        }
+        if (typeof result === 'string' || (result && typeof result.path === 'string')) {
+          if (redirects >= MAX_REDIRECTS) throw new Error(`Router: too many redirects (last: "${to.fullPath}")`);
+          const target = typeof result === 'string' ? result : result.path;
+          // a pushed navigation pushes the redirect target; back/forward and the initial
+          // navigation replace the entry they are already on
+          return this._navigate(target, { replace: replace || pop, pop: false, redirects: redirects + 1 });
+        }
+      }
+
+      if (to.matched && typeof to.matched.load === 'function') {
+        to.data = await to.matched.load(to, { signal: controller ? controller.signal : undefined });
+        if (stale()) return false;
+      }
+    } catch (err) {
+      if (stale()) return false;
+      this._cancel(pop, from);
+      if (typeof this.opts.onError === 'function') this.opts.onError(err, to);
+      else console.error('Router: navigation error', err);
+      return false;
+    }
+
+    this._commit(to, from, { replace, pop });
+    return true;
+  }
+
+  /**
+   * Internal: a cancelled back/forward has already changed the URL, so put the current route back.
+   */
+  _cancel(pop, from) {
+    this._setPending(false);
+    if (pop && from) this._writeUrl(from.fullPath, true);
+  }
+
+  _commit(to, from, { replace, pop }) {
+    let saved = null;
+    if (this._key) this._positions.set(this._key, { x: window.scrollX, y: window.scrollY });
+
+    if (pop) {
+      const state = history.state;
+      if (state && state.key) {
+        this._key = state.key;
+        saved = this._positions.get(this._key) || null;
+      } else {
+        // entry created outside the router (e.g. the hash was edited by hand)
+        this._key = this._newKey();
+        this._writeUrl(to.fullPath, true);
+      }
+    } else {
+      if (!replace) this._key = this._newKey();
+      this._writeUrl(to.fullPath, replace);
+    }
+
+    batch(() => {
+      this._setRoute(to);
+      this._setPending(false);
+    });
+
+    this._scroll(to, from, saved);
+    if (typeof this.opts.afterEach === 'function') {
+      try { this.opts.afterEach(to, from); } catch (err) { console.error(err); }
+    }
+  }
+
+  _scroll(to, from, saved) {
+    const { scroll } = this.opts;
+    if (!scroll || !from) return;
+    let position = saved;
+    if (typeof scroll === 'function') {
+      position = scroll(to, from, saved);
+      if (!position) return;
+    } else if (!position && to.hash) {
+      const target = document.getElementById(_decode(to.hash.slice(1)));
+      if (target) {
+        target.scrollIntoView && target.scrollIntoView();
+        return;
+      }
+    }
+    const { x = 0, y = 0 } = position || {};
+    try { window.scrollTo(x, y); } catch (_) {}
+  }
+
+  _onPop() {
+    this._navigate(this._readUrl(), { replace: true, pop: true });
+  }
+
+  _onLinkClick(e, link) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const target = link.getAttribute('target');
+    if ((target && target !== '_self') || link.hasAttribute('download') || link.getAttribute('rel') === 'external') return;
+
+    let url;
+    try { url = new URL(link.getAttribute('href'), location.href); } catch (_) { return; }
+    if (url.origin !== location.origin) return;
+
+    let path;
+    if (this.opts.mode === 'hash') {
+      if (!url.hash.startsWith('#/')) return; // plain in-page anchor
+      path = url.hash.slice(1);
+    } else {
+      if (this._base && url.pathname !== this._base && !url.pathname.startsWith(`${this._base}/`)) return;
+      // same page, only the hash differs: let the browser jump to the anchor
+      if (url.hash && url.pathname === location.pathname && url.search === location.search) return;
+      path = (url.pathname.slice(this._base.length) || '/') + url.search + url.hash;
+    }
+
+    e.preventDefault();
+    this.navigate(path, { replace: link.hasAttribute('data-replace') });
+  }
+
+  destroy() {
+    this._navId++;
+    if (this._controller) this._controller.abort();
+    this._unbind.forEach((fn) => fn());
+    this._unbind = [];
+    if (this._scrollRestoration) history.scrollRestoration = this._scrollRestoration;
+  }
+}
+
+export default Router;
@@ -1,14 +1,18 @@
 export function onVisible(target, callback, options = {}) {
   const el = typeof target === 'string' ? document.querySelector(target) : target;
   if (!el) throw new Error('onVisible: target not found');
+  // onHidden(entry, observer): optional callback for when the element leaves the viewport
+  const { onHidden, ...init } = options;
 
   const obs = new IntersectionObserver((entries, observer) => {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         try { callback(entry, observer); } catch (err) { console.error(err); }
+      } else if (typeof onHidden === 'function') {
+        try { onHidden(entry, observer); } catch (err) { console.error(err); }
       }
     });
-  }, options);
+  }, init);
 
   obs.observe(el);
 
@@ -0,0 +1,15 @@
+// src/reactive/bindings.d.ts
+
+/** Element, list of elements or a DOMUtilsCore wrapper (anything with toArray()) */
+export type BindingTarget = Element | Element[] | NodeList | { toArray(): Element[] } | null | undefined;
+
+/** Signal/computed getter (tracked) or a plain value (applied once) */
+export type BindingSource<T> = T | (() => T);
+
+export function bindText(target: BindingTarget, source: BindingSource<any>): () => void;
+export function bindAttr(target: BindingTarget, name: string, source: BindingSource<string | number | boolean | null | undefined>): () => void;
+export function bindClass(target: BindingTarget, name: string, source: BindingSource<any>): () => void;
+export function bindClass(target: BindingTarget, classes: Record<string, BindingSource<any>>): () => void;
+export function bindStyle(target: BindingTarget, prop: string, source: BindingSource<string | number | null | undefined | false>): () => void;
+export function bindStyle(target: BindingTarget, styles: Record<string, BindingSource<string | number | null | undefined | false>>): () => void;
+export function bindProp(target: BindingTarget, name: string, source: BindingSource<any>): () => void;
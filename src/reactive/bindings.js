@@ -0,0 +1,115 @@
+// src/reactive/bindings.js
+// Reactive DOM bindings: keep text, attributes, classes, styles and properties in sync with signals.
+// - every helper accepts an Element, an array/NodeList of elements or a DOMUtilsCore wrapper
+// - source: signal/computed getter (tracked) or a plain value (applied once)
+// - every helper returns a disposer(); bindings are also disposed with their owner (createRoot/createEffect)
+
+import { createEffect } from './signals.js';
+import { setAttribute, removeAttribute } from '../core/attributes.js';
+
+/**
+ * Internal helper: normalize a binding target to an array of elements.
+ */
+function _toElements(target) {
+  if (!target) return [];
+  if (typeof target.toArray === 'function') return target.toArray();
+  if (Array.isArray(target)) return target.filter(Boolean);
+  if (typeof NodeList !== 'undefined' && target instanceof NodeList) return Array.from(target);
+  return [target];
+}
+
+/**
+ * Internal helper: run `apply(el, value)` for every element whenever `source` changes.
+ */
+function _bind(target, source, apply) {
+  const els = _toElements(target);
+  if (!els.length) return () => {};
+  return createEffect(() => {
+    const value = typeof source === 'function' ? source() : source;
+    els.forEach((el) => apply(el, value));
+  });
+}
+
+function _setStyle(el, prop, value) {
+  if (!el || !el.style) return;
+  const empty = value === null || value === undefined || value === false;
+  if (prop.indexOf('-') !== -1) {
+    if (empty) el.style.removeProperty(prop);
+    else el.style.setProperty(prop, String(value));
+  } else {
+    el.style[prop] = empty ? '' : value;
+  }
+}
+
+/**
+ * bindText(target, source)
+ * - textContent follows the source; null/undefined render as ''
+ */
+export function bindText(target, source) {
+  return _bind(target, source, (el, value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (el.textContent !== text) el.textContent = text;
+  });
+}
+
+/**
+ * bindAttr(target, name, source)
+ * - true -> empty attribute, false/null/undefined -> removed, anything else -> String(value)
+ */
+export function bindAttr(target, name, source) {
+  if (!name) return () => {};
+  return _bind(target, source, (el, value) => {
+    if (value === null || value === undefined || value === false) removeAttribute(el, name);
+    else setAttribute(el, name, value);
+  });
+}
+
+/**
+ * bindClass(target, name, source)  -> toggles `name` on truthy source
+ * bindClass(target, { active: isActive, disabled: () => !valid() })
+ */
+export function bindClass(target, nameOrMap, source) {
+  if (nameOrMap && typeof nameOrMap === 'object') {
+    const disposers = Object.entries(nameOrMap).map(([name, src]) => bindClass(target, name, src));
+    return () => disposers.forEach((d) => d());
+  }
+  if (!nameOrMap) return () => {};
+  const names = String(nameOrMap).split(/\s+/).filter(Boolean);
+  return _bind(target, source, (el, value) => {
+    if (!el.classList) return;
+    names.forEach((name) => el.classList.toggle(name, !!value));
+  });
+}
+
+/**
+ * bindStyle(target, prop, source) -> prop in camelCase ('backgroundColor') or kebab/custom ('--size')
+ * bindStyle(target, { width: () => `${w()}px`, '--accent': color })
+ * - null/undefined/false clear the property
+ */
+export function bindStyle(target, propOrMap, source) {
+  if (propOrMap && typeof propOrMap === 'object') {
+    const disposers = Object.entries(propOrMap).map(([prop, src]) => bindStyle(target, prop, src));
+    return () => disposers.forEach((d) => d());
+  }
+  if (!propOrMap) return () => {};
+  return _bind(target, source, (el, value) => _setStyle(el, propOrMap, value));
+}
+
+/**
+ * bindProp(target, name, source)
+ * - assigns el[name] (value, checked, disabled, hidden...) when it differs
+ */
+export function bindProp(target, name, source) {
+  if (!name) return () => {};
+  return _bind(target, source, (el, value) => {
+    if (el[name] !== value) el[name] = value;
+  });
+}
+
+export default {
+  bindText,
+  bindAttr,
+  bindClass,
+  bindStyle,
+  bindProp
+};
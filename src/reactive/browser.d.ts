@@ -0,0 +1,14 @@
+// src/reactive/browser.d.ts
+import type { SignalGetter } from './signals';
+
+type ElementTarget = Element | string | { toArray(): Element[] };
+
+export function mediaQuery(query: string): SignalGetter<boolean>;
+export function prefersReducedMotion(): SignalGetter<boolean>;
+export function prefersColorScheme(): () => 'dark' | 'light';
+export function windowSize(): SignalGetter<{ width: number; height: number }>;
+export function scrollPosition(target?: Window | ElementTarget): SignalGetter<{ x: number; y: number }>;
+export function elementSize(target: ElementTarget): SignalGetter<{ width: number; height: number }>;
+export function isVisible(target: ElementTarget, options?: IntersectionObserverInit): SignalGetter<boolean>;
+export function online(): SignalGetter<boolean>;
+export function documentVisible(): SignalGetter<boolean>;
@@ -0,0 +1,161 @@
+// src/reactive/browser.js
+// Signal sources for browser state, built on the event and observer helpers.
+// - mediaQuery, prefersReducedMotion, prefersColorScheme: matchMedia results
+// - windowSize, scrollPosition, elementSize (onResize), isVisible (onVisible)
+// - online, documentVisible
+// - every source returns a read-only signal getter and stops listening when the current owner is disposed
+
+import { createSignal, shallowEqual, getOwner, onCleanup } from './signals.js';
+import { on, addPassive } from '../core/events.js';
+import { onResize } from '../observers/resize.js';
+import { onVisible } from '../observers/intersection.js';
+
+const hasWindow = typeof window !== 'undefined';
+
+function _toElement(target, fn) {
+  let el = target;
+  if (typeof target === 'string') el = document.querySelector(target);
+  else if (target && typeof target.toArray === 'function') el = target.toArray()[0];
+  if (!el) throw new Error(`${fn}: target not found`);
+  return el;
+}
+
+/**
+ * Internal helper: signal kept in sync with read() by listen(update) -> stop().
+ * Without a window (SSR) the signal holds `fallback` and never changes.
+ */
+function _source(read, listen, fallback, equals) {
+  if (!hasWindow) return createSignal(fallback)[0];
+  const [get, set] = createSignal(read(), { equals });
+  const stop = listen(() => set(read()));
+  if (getOwner()) onCleanup(stop);
+  return get;
+}
+
+/**
+ * mediaQuery(query) -> getter: whether the media query currently matches
+ *
+ * const isMobile = mediaQuery('(max-width: 600px)');
+ * createEffect(() => menu.classList.toggle('compact', isMobile()));
+ */
+export function mediaQuery(query) {
+  if (!query) throw new Error('mediaQuery: query is required');
+  if (!hasWindow || typeof window.matchMedia !== 'function') return createSignal(false)[0];
+  const mql = window.matchMedia(query);
+  return _source(() => mql.matches, (update) => {
+    if (typeof mql.addEventListener === 'function') return on(mql, 'change', update);
+    mql.addListener(update); // Safari < 14
+    return () => mql.removeListener(update);
+  }, false);
+}
+
+/**
+ * prefersReducedMotion() -> getter: true when the user asked for reduced motion
+ */
+export function prefersReducedMotion() {
+  return mediaQuery('(prefers-reduced-motion: reduce)');
+}
+
+/**
+ * prefersColorScheme() -> getter: 'dark' or 'light'
+ */
+export function prefersColorScheme() {
+  const dark = mediaQuery('(prefers-color-scheme: dark)');
+  return () => (dark() ? 'dark' : 'light');
+}
+
+/**
+ * windowSize() -> getter: { width, height } of the viewport (innerWidth / innerHeight)
+ */
+export function windowSize() {
+  return _source(
+    () => ({ width: window.innerWidth, height: window.innerHeight }),
+    (update) => on(window, 'resize', update),
+    { width: 0, height: 0 },
+    shallowEqual
+  );
+}
+
+/**
+ * scrollPosition(el = window) -> getter: { x, y } scroll offset of the window or an element
+ */
+export function scrollPosition(target) {
+  if (!hasWindow) return createSignal({ x: 0, y: 0 })[0];
+  const el = !target || target === window ? window : _toElement(target, 'scrollPosition');
+  const read = el === window
+    ? () => ({ x: window.scrollX, y: window.scrollY })
+    : () => ({ x: el.scrollLeft, y: el.scrollTop });
+  return _source(read, (update) => addPassive(el, 'scroll', update), { x: 0, y: 0 }, shallowEqual);
+}
+
+/**
+ * elementSize(el) -> getter: { width, height } of an element's border box
+ * (getBoundingClientRect(), re-read whenever the observed border box changes)
+ */
+export function elementSize(target) {
+  const fallback = { width: 0, height: 0 };
+  if (!hasWindow) return createSignal(fallback)[0];
+  const el = _toElement(target, 'elementSize');
+  return _source(
+    () => {
+      const rect = el.getBoundingClientRect();
+      return { width: rect.width, height: rect.height };
+    },
+    (update) => onResize(el, update, { box: 'border-box' }).destroy,
+    fallback,
+    shallowEqual
+  );
+}
+
+/**
+ * isVisible(el, options?) -> getter: whether the element intersects the viewport (or options.root)
+ * - options: IntersectionObserver options (root, rootMargin, threshold); false until the first report
+ */
+export function isVisible(target, options = {}) {
+  if (!hasWindow) return createSignal(false)[0];
+  const el = _toElement(target, 'isVisible');
+  let visible = false;
+  return _source(() => visible, (update) => {
+    const handle = onVisible(el, () => {
+      visible = true;
+      update();
+    }, {
+      ...options,
+      onHidden: () => {
+        visible = false;
+        update();
+      }
+    });
+    return handle.destroy;
+  }, false);
+}
+
+/**
+ * online() -> getter: navigator.onLine, updated by the online / offline events
+ */
+export function online() {
+  return _source(() => navigator.onLine !== false, (update) => on(window, 'online offline', update), true);
+}
+
+/**
+ * documentVisible() -> getter: false while the tab is hidden (visibilitychange)
+ */
+export function documentVisible() {
+  return _source(
+    () => document.visibilityState !== 'hidden',
+    (update) => on(document, 'visibilitychange', update),
+    true
+  );
+}
+
+export default {
+  mediaQuery,
+  prefersReducedMotion,
+  prefersColorScheme,
+  windowSize,
+  scrollPosition,
+  elementSize,
+  isVisible,
+  online,
+  documentVisible
+};
@@ -0,0 +1,38 @@
+// src/reactive/component.d.ts
+import type { StateProxy } from './signals';
+
+export interface ComponentContext {
+  el: Element;
+  /** Dispatch a bubbling, cancelable CustomEvent on el */
+  emit(event: string, detail?: any): CustomEvent;
+  onMount(fn: () => void | (() => void)): void;
+  onDestroy(fn: () => void): void;
+}
+
+export interface ComponentInstance<P extends object, E = any> {
+  name: string;
+  el: Element;
+  props: P & StateProxy;
+  /** Object returned by setup() when it is not renderable content */
+  exposed: E | null;
+  mounted: boolean;
+  setProps(partial: Partial<P>): void;
+  unmount(): void;
+}
+
+export interface ComponentOptions<P extends object, E = any> {
+  name?: string;
+  props?: P | (() => P);
+  setup(props: P & StateProxy, context: ComponentContext): Node | string | { fragment: DocumentFragment } | E | void;
+  onError?: (error: any, info: { type: string; name: string }) => void;
+}
+
+export interface Component<P extends object, E = any> {
+  name: string;
+  mount(target: Element | string | { toArray(): Element[] }, props?: Partial<P>): ComponentInstance<P, E>;
+}
+
+export function defineComponent<P extends object = {}, E = any>(options: ComponentOptions<P, E>): Component<P, E>;
+export function onMount(fn: () => void | (() => void)): void;
+export function onDestroy(fn: () => void): void;
+export function getComponent(target: Element | string): ComponentInstance<any> | null;
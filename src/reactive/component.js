@@ -0,0 +1,200 @@
+// src/reactive/component.js
+// Lightweight components on top of signals.
+// - defineComponent({ name, props, setup, onError }) -> { name, mount(el, props) }
+// - props are a $state store (defaults <- data-* attributes <- mount props), updated with setProps()
+// - setup(props, { el, emit, onMount, onDestroy }) runs inside its own root: effects, bindings
+//   and listeners added with core/events are disposed on unmount
+
+import { $state, batch, createRoot, catchError, getOwner, runWithOwner, onCleanup, untrack } from './signals.js';
+import { trigger } from '../core/events.js';
+
+const INSTANCES = new WeakMap(); // element -> mounted instance
+let CURRENT = null; // instance whose setup() is running
+
+function _toElement(target) {
+  if (typeof target === 'string') return document.querySelector(target);
+  if (target && typeof target.toArray === 'function') return target.toArray()[0] || null;
+  return target && target.nodeType === 1 ? target : null;
+}
+
+/**
+ * Internal helper: initial props from data-* attributes, converted to the type of each default.
+ */
+function _readDataset(el, defaults) {
+  const props = {};
+  Object.keys(defaults).forEach((key) => {
+    const raw = el.dataset ? el.dataset[key] : undefined;
+    if (raw === undefined) return;
+    const fallback = defaults[key];
+    if (typeof fallback === 'number') props[key] = Number(raw);
+    else if (typeof fallback === 'boolean') props[key] = raw !== 'false';
+    else if (fallback !== null && typeof fallback === 'object') {
+      try { props[key] = JSON.parse(raw); } catch (_) { console.warn(`defineComponent: invalid JSON in data-${key}`); }
+    } else props[key] = raw;
+  });
+  return props;
+}
+
+/**
+ * Internal helper: nodes to render for a setup() result, or null when it is not renderable.
+ */
+function _toNodes(result) {
+  if (result === null || result === undefined) return null;
+  if (typeof result === 'string' || typeof result === 'number') return [document.createTextNode(String(result))];
+  if (result.nodeType === 11) return Array.from(result.childNodes);
+  if (result.nodeType) return [result];
+  if (result.fragment && result.fragment.nodeType === 11) return Array.from(result.fragment.childNodes);
+  return null;
+}
+
+function _current(fn) {
+  if (!CURRENT) throw new Error(`${fn}: must be called inside a component setup()`);
+  return CURRENT;
+}
+
+/**
+ * onMount(fn): run fn once setup() has finished and its content is in the element.
+ * If fn returns a function, it runs on unmount.
+ */
+export function onMount(fn) {
+  if (typeof fn !== 'function') throw new Error('onMount: fn must be a function');
+  _current('onMount').mountHooks.push({ fn, owner: getOwner() });
+}
+
+/**
+ * onDestroy(fn): run fn when the component is unmounted
+ */
+export function onDestroy(fn) {
+  if (typeof fn !== 'function') throw new Error('onDestroy: fn must be a function');
+  _current('onDestroy');
+  onCleanup(fn);
+}
+
+/**
+ * defineComponent({ name, props, setup, onError })
+ * - props: defaults (object, or a function returning one so object values are not shared)
+ * - setup(props, { el, emit, onMount, onDestroy }): may enhance `el` in place or return content
+ *   (Node, fragment, string or an html`` result) that replaces the element's children;
+ *   any other returned object is exposed as instance.exposed
+ * - onError(error, info): error boundary for setup() and everything created inside it
+ * - returns { name, mount(target, props?) }; mount() returns
+ *   { el, props, exposed, setProps(partial), unmount() }
+ *
+ * const Counter = defineComponent({
+ *   name: 'Counter',
+ *   props: { start: 0 },
+ *   setup(props, { el, emit }) {
+ *     const [count, setCount] = createSignal(props.start);
+ *     bindText(el.querySelector('output'), count);
+ *     on(el.querySelector('button'), 'click', () => {
+ *       setCount((c) => c + 1);
+ *       emit('change', { count: count() });
+ *     });
+ *   }
+ * });
+ * const counter = Counter.mount('#counter', { start: 5 });
+ */
+export function defineComponent(options = {}) {
+  const { name = 'Component', props: propDefaults = {}, setup, onError = null } = options;
+  if (typeof setup !== 'function') throw new Error('defineComponent: setup must be a function');
+
+  function mount(target, initialProps = {}) {
+    const el = _toElement(target);
+    if (!el) throw new Error(`${name}: mount target not found`);
+
+    const previous = INSTANCES.get(el);
+    if (previous) {
+      console.warn(`${name}: element already has a mounted component, unmounting it first`);
+      previous.unmount();
+    }
+
+    const defaults = typeof propDefaults === 'function' ? propDefaults() : { ...propDefaults };
+    const props = $state({ ...defaults, ..._readDataset(el, defaults), ...initialProps }, { name: `${name}.props` });
+    const emit = (event, detail) => trigger(el, event, detail);
+    const context = { mountHooks: [] };
+
+    let rendered = null;
+    let disposeRoot = null;
+    const instance = {
+      name,
+      el,
+      props,
+      exposed: null,
+      mounted: false,
+      setProps(partial) {
+        batch(() => Object.assign(props, partial));
+      },
+      unmount
+    };
+
+    createRoot((dispose) => {
+      disposeRoot = dispose;
+      const previousContext = CURRENT;
+      CURRENT = context;
+      let result;
+      try {
+        const run = () => setup(props, { el, emit, onMount, onDestroy });
+        result = typeof onError === 'function' ? catchError(run, onError) : run();
+      } catch (err) {
+        dispose();
+        throw err;
+      } finally {
+        CURRENT = previousContext;
+      }
+
+      rendered = _toNodes(result);
+      if (rendered) el.replaceChildren(...rendered);
+      else if (result && typeof result === 'object') instance.exposed = result;
+    });
+
+    INSTANCES.set(el, instance);
+    instance.mounted = true;
+
+    // untracked: when mount() runs inside an effect, reads in onMount must not subscribe it.
+    // A throwing hook goes to onError (or is logged) and the remaining hooks still run.
+    context.mountHooks.forEach(({ fn, owner }) => runWithOwner(owner, () => untrack(() => {
+      const hook = () => {
+        const cleanup = fn();
+        if (typeof cleanup === 'function') onCleanup(cleanup);
+      };
+      if (typeof onError === 'function') {
+        catchError(hook, onError);
+        return;
+      }
+      try { hook(); } catch (err) { console.error(`${name}: error in onMount`, err); }
+    })));
+
+    function unmount() {
+      if (!instance.mounted) return;
+      instance.mounted = false;
+      if (INSTANCES.get(el) === instance) INSTANCES.delete(el);
+      disposeRoot();
+      if (rendered) {
+        rendered.forEach((node) => {
+          if (node.parentNode === el) el.removeChild(node);
+        });
+      }
+    }
+
+    // mounted from another component or effect: unmount together with it
+    if (getOwner()) onCleanup(unmount);
+    return instance;
+  }
+
+  return { name, mount };
+}
+
+/**
+ * getComponent(el) -> the instance mounted on el, or null
+ */
+export function getComponent(target) {
+  const el = _toElement(target);
+  return (el && INSTANCES.get(el)) || null;
+}
+
+export default {
+  defineComponent,
+  onMount,
+  onDestroy,
+  getComponent
+};
@@ -0,0 +1,25 @@
+// src/reactive/history.d.ts
+import type { SignalGetter, StateProxy } from './signals';
+
+export interface HistoryOptions {
+  /** Maximum number of undo steps kept (0 = unlimited, default 100) */
+  limit?: number;
+  /** Changes closer than this many ms are merged into one step (default 0: same tick only) */
+  debounce?: number;
+}
+
+export interface History<T extends object> {
+  undo(): boolean;
+  redo(): boolean;
+  canUndo: SignalGetter<boolean>;
+  canRedo: SignalGetter<boolean>;
+  /** Group changes into one undo step; rolled back if fn throws */
+  transaction<R>(fn: () => R): R;
+  snapshot(): T;
+  /** Make the state equal to a snapshot (one undoable step) */
+  restore(snapshot: T): void;
+  clear(): void;
+  dispose(): void;
+}
+
+export function withHistory<T extends object>(state: T & StateProxy, options?: HistoryOptions): History<T>;
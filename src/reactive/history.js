@@ -0,0 +1,264 @@
+// src/reactive/history.js
+// Undo/redo for $state stores, built on state.subscribe().
+// - withHistory(state, { limit, debounce }) records every change as a patch { path, old, value }
+// - changes made in the same tick (or within `debounce` ms) form one undo step
+// - transaction(fn) groups changes explicitly; snapshot()/restore() jump to a saved state
+
+import { createSignal, batch, untrack, toRaw, getOwner, onCleanup } from './signals.js';
+
+const queueTask = typeof queueMicrotask === 'function'
+  ? queueMicrotask
+  : (fn) => Promise.resolve().then(fn);
+
+function _clone(value) {
+  value = toRaw(value);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Map) return new Map(Array.from(value, ([k, v]) => [k, _clone(v)]));
+  if (value instanceof Set) return new Set(Array.from(value, _clone));
+  if (Array.isArray(value)) return value.map(_clone);
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) return value;
+  const copy = {};
+  Object.keys(value).forEach((k) => { copy[k] = _clone(value[k]); });
+  return copy;
+}
+
+/**
+ * Internal helper: step into a child of a state proxy (plain key, Map key or Set value).
+ */
+function _child(target, key) {
+  const raw = toRaw(target);
+  if (raw instanceof Map) return target.get(key);
+  if (raw instanceof Set) {
+    for (const value of target) {
+      if (toRaw(value) === key) return value;
+    }
+    return undefined;
+  }
+  return target[key];
+}
+
+/**
+ * Internal helper: write `value` at `path`; undefined means "remove"
+ * (delete the key, drop the Map entry / Set value, or skip an index past the array end).
+ */
+function _applyPatch(state, path, value) {
+  let target = state;
+  for (let i = 0; i < path.length - 1; i++) {
+    target = _child(target, path[i]);
+    if (target === null || target === undefined) return;
+  }
+  const key = path[path.length - 1];
+  const raw = toRaw(target);
+
+  if (raw instanceof Map) {
+    if (value === undefined) target.delete(key);
+    else target.set(key, value);
+  } else if (raw instanceof Set) {
+    if (value === undefined) target.delete(key);
+    else target.add(value);
+  } else if (Array.isArray(raw)) {
+    if (key === 'length') target.length = value;
+    else if (value !== undefined || Number(key) < raw.length) target[key] = value;
+  } else if (value === undefined) {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * withHistory(state, { limit = 100, debounce = 0 })
+ * - state: a $state() store
+ * - limit: maximum number of undo steps kept (0 = unlimited)
+ * - debounce: ms during which consecutive changes merge into the same step (e.g. typing)
+ * - returns { undo, redo, canUndo, canRedo, transaction, snapshot, restore, clear, dispose }
+ *   canUndo/canRedo are signal getters
+ *
+ * const doc = $state({ title: '', blocks: [] });
+ * const history = withHistory(doc, { debounce: 300 });
+ * on(document, 'keydown', (e) => { if (e.ctrlKey && e.key === 'z') history.undo(); });
+ */
+export function withHistory(state, options = {}) {
+  if (!state || typeof state.subscribe !== 'function' || !state.__isState) {
+    throw new Error('withHistory: state must be a $state() store');
+  }
+  const { limit = 100, debounce = 0 } = options;
+
+  const [canUndo, setCanUndo] = createSignal(false);
+  const [canRedo, setCanRedo] = createSignal(false);
+
+  let undoStack = [];
+  let redoStack = [];
+  let current = null; // step still accepting patches
+  let sameTick = false;
+  let applying = false;
+  let txn = null;
+  let txnDepth = 0;
+
+  const sync = () => batch(() => {
+    setCanUndo(undoStack.length > 0);
+    setCanRedo(redoStack.length > 0);
+  });
+
+  const pushStep = (step) => {
+    undoStack.push(step);
+    if (limit > 0 && undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+    redoStack = [];
+    sync();
+  };
+
+  const record = (key, old, value, path) => {
+    if (applying) return;
+    const patch = { path, old, value };
+    if (txn) {
+      txn.patches.push(patch);
+      return;
+    }
+
+    const now = Date.now();
+    const merge = current && (sameTick || (debounce > 0 && now - current.time <= debounce));
+    if (merge) {
+      current.patches.push(patch);
+    } else {
+      current = { patches: [patch] };
+      pushStep(current);
+    }
+    current.time = now;
+
+    if (!sameTick) {
+      sameTick = true;
+      queueTask(() => { sameTick = false; });
+    }
+  };
+
+  const unsubscribe = state.subscribe(record);
+
+  const replay = (step, reverse) => {
+    applying = true;
+    try {
+      batch(() => untrack(() => {
+        if (reverse) {
+          for (let i = step.patches.length - 1; i >= 0; i--) {
+            const { path, old } = step.patches[i];
+            _applyPatch(state, path, old);
+          }
+        } else {
+          step.patches.forEach(({ path, value }) => _applyPatch(state, path, value));
+        }
+      }));
+    } finally {
+      applying = false;
+    }
+  };
+
+  /**
+   * undo() -> boolean: revert the last step
+   */
+  function undo() {
+    current = null;
+    const step = undoStack.pop();
+    if (!step) return false;
+    replay(step, true);
+    redoStack.push(step);
+    sync();
+    return true;
+  }
+
+  /**
+   * redo() -> boolean: re-apply the last undone step
+   */
+  function redo() {
+    current = null;
+    const step = redoStack.pop();
+    if (!step) return false;
+    replay(step, false);
+    undoStack.push(step);
+    sync();
+    return true;
+  }
+
+  /**
+   * transaction(fn): every change made inside fn is one undo step (nested calls join the outer one).
+   * If fn throws, its changes are rolled back and the error is rethrown.
+   */
+  function transaction(fn) {
+    if (typeof fn !== 'function') throw new Error('withHistory: transaction expects a function');
+    const outer = txnDepth === 0;
+    if (outer) txn = { patches: [] };
+    txnDepth++;
+    let result;
+    try {
+      result = batch(fn);
+    } catch (err) {
+      txnDepth--;
+      if (outer) {
+        const failed = txn;
+        txn = null;
+        replay(failed, true);
+      }
+      throw err;
+    }
+    txnDepth--;
+    if (outer) {
+      const step = txn;
+      txn = null;
+      current = null;
+      if (step.patches.length) pushStep(step);
+    }
+    return result;
+  }
+
+  /**
+   * snapshot(): deep copy of the current state
+   */
+  function snapshot() {
+    return state.inspect();
+  }
+
+  /**
+   * restore(snapshot): make the state equal to a snapshot; recorded as one undoable step
+   */
+  function restore(snap) {
+    if (!snap || typeof snap !== 'object') throw new Error('withHistory: restore expects a snapshot object');
+    transaction(() => {
+      Object.keys(toRaw(state)).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(snap, key)) delete state[key];
+      });
+      Object.keys(snap).forEach((key) => { state[key] = _clone(snap[key]); });
+    });
+  }
+
+  /**
+   * clear(): forget every recorded step
+   */
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+    current = null;
+    sync();
+  }
+
+  function dispose() {
+    unsubscribe();
+    clear();
+  }
+
+  if (getOwner()) onCleanup(dispose);
+
+  return {
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    transaction,
+    snapshot,
+    restore,
+    clear,
+    dispose
+  };
+}
+
+export default {
+  withHistory
+};
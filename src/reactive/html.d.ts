@@ -0,0 +1,14 @@
+// src/reactive/html.d.ts
+
+export interface TemplateResult {
+  /** Rendered nodes; append it where the markup should appear */
+  fragment: DocumentFragment;
+  /** Remove listeners and stop every reactive hole */
+  dispose(): void;
+}
+
+/**
+ * html`...` tagged template. Interpolations are escaped; getters in text or attribute
+ * holes are reactive; supports @event=${fn}, .prop=${value} and ?attr=${bool}.
+ */
+export function html(strings: TemplateStringsArray, ...values: any[]): TemplateResult;
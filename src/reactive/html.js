@@ -0,0 +1,333 @@
+// src/reactive/html.js
+// html`...` tagged template: escaped by default, with reactive holes.
+// - text holes: primitives become text nodes (never parsed as HTML); Nodes, arrays and nested
+//   html`` results are inserted as-is; signal getters re-render their slot when they change
+// - attribute holes: name=${v} (also mixed with static text), ?name=${bool}, .prop=${v}, @event=${fn}
+// - returns { fragment, dispose }; templates are parsed once per call site and cached
+
+import { createEffect, createRoot, untrack, getOwner, onCleanup } from './signals.js';
+import { on } from '../core/events.js';
+import { bindAttr, bindProp } from './bindings.js';
+
+const TEMPLATE_CACHE = new WeakMap(); // strings array (one per call site) -> compiled template
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title'];
+const URL_ATTRS = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'srcset'];
+const UNSAFE_URL = /^(?:javascript|vbscript):/i;
+const MARKER_ATTR = 'data-dh';
+const MARKER_PREFIX = 'dh:';
+
+/**
+ * Internal helper: turn the static strings into markup with markers and a list of parts.
+ * - text holes become <!--dh:N--> comments
+ * - elements with attribute holes get data-dh="ID" and their dynamic attributes are removed
+ *   from the markup; attribute names are taken from the source so their case is preserved
+ */
+function _compile(strings) {
+  let out = '';
+  const parts = [];
+  let state = 'text'; // text | comment | raw | tagName | tag | attrName | beforeValue | value
+  let tagName = '';
+  let rawTag = '';
+  let quote = '';
+  let attr = null;
+  let elementId = -1;
+  let elementCount = 0;
+
+  const flushAttr = () => {
+    if (attr.holes.length) {
+      if (elementId < 0) elementId = elementCount++;
+      parts.push({ type: 'attr', element: elementId, name: attr.name, statics: attr.statics, holes: attr.holes });
+    } else {
+      out += attr.text;
+    }
+    attr = null;
+  };
+
+  const finishTag = (selfClosing) => {
+    if (elementId >= 0) out += ` ${MARKER_ATTR}="${elementId}"`;
+    elementId = -1;
+    out += selfClosing ? '/>' : '>';
+    const name = tagName.toLowerCase();
+    if (!selfClosing && RAW_TEXT_TAGS.includes(name)) {
+      rawTag = name;
+      state = 'raw';
+    } else {
+      state = 'text';
+    }
+  };
+
+  strings.forEach((s, i) => {
+    for (let j = 0; j < s.length; j++) {
+      const c = s[j];
+      switch (state) {
+        case 'text':
+          if (c === '<' && s.startsWith('!--', j + 1)) {
+            out += '<!--';
+            j += 3;
+            state = 'comment';
+          } else if (c === '<' && /[a-zA-Z/]/.test(s[j + 1] || '')) {
+            out += c;
+            tagName = '';
+            state = 'tagName';
+          } else {
+            out += c;
+          }
+          break;
+        case 'comment':
+          out += c;
+          if (out.endsWith('-->')) state = 'text';
+          break;
+        case 'raw':
+          if (c === '<' && s.slice(j + 1, j + 2 + rawTag.length).toLowerCase() === `/${rawTag}`) {
+            out += c;
+            tagName = '';
+            state = 'tagName';
+          } else {
+            out += c;
+          }
+          break;
+        case 'tagName':
+          if (/[\s/>]/.test(c)) {
+            state = 'tag';
+            j--;
+          } else {
+            tagName += c;
+            out += c;
+          }
+          break;
+        case 'tag':
+          if (c === '>') finishTag(false);
+          else if (c === '/' && s[j + 1] === '>') {
+            finishTag(true);
+            j++;
+          } else if (/\s/.test(c) || c === '/') out += c;
+          else {
+            attr = { name: c, text: c, statics: [''], holes: [] };
+            state = 'attrName';
+          }
+          break;
+        case 'attrName':
+          if (c === '=') {
+            attr.text += c;
+            state = 'beforeValue';
+          } else if (/[\s/>]/.test(c)) {
+            flushAttr();
+            state = 'tag';
+            j--;
+          } else {
+            attr.name += c;
+            attr.text += c;
+          }
+          break;
+        case 'beforeValue':
+          if (c === '"' || c === "'") {
+            quote = c;
+            attr.text += c;
+            state = 'value';
+          } else if (!/\s/.test(c)) {
+            quote = '';
+            state = 'value';
+            j--;
+          }
+          break;
+        case 'value':
+          if (quote ? c === quote : /[\s>]/.test(c)) {
+            if (quote) attr.text += c;
+            flushAttr();
+            state = 'tag';
+            if (!quote) j--;
+          } else {
+            attr.text += c;
+            attr.statics[attr.statics.length - 1] += c;
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (i === strings.length - 1) return;
+
+    // hole i sits between strings[i] and strings[i + 1]
+    if (state === 'text') {
+      out += `<!--${MARKER_PREFIX}${i}-->`;
+      parts.push({ type: 'node', hole: i });
+    } else if (state === 'beforeValue' || state === 'value') {
+      if (state === 'beforeValue') {
+        quote = '';
+        state = 'value';
+      }
+      attr.holes.push(i);
+      attr.statics.push('');
+    } else if (state === 'raw') {
+      throw new Error(`html: holes inside <${rawTag}> are not supported`);
+    } else if (state === 'comment') {
+      throw new Error('html: holes inside comments are not supported');
+    } else {
+      throw new Error('html: holes inside a tag must be attribute values (name=${value})');
+    }
+  });
+
+  const template = document.createElement('template');
+  template.innerHTML = out;
+  return { template, parts };
+}
+
+/**
+ * Internal helper: flatten a text-hole value to the nodes it renders.
+ * Strings and numbers become text nodes, so they are never parsed as markup.
+ */
+function _toNodes(value) {
+  if (value === null || value === undefined || value === false || value === true) return [];
+  if (Array.isArray(value)) return value.reduce((acc, v) => acc.concat(_toNodes(v)), []);
+  if (value.nodeType === 11) return Array.from(value.childNodes);
+  if (value.nodeType) return [value];
+  if (value.fragment && value.fragment.nodeType === 11) return Array.from(value.fragment.childNodes);
+  return [document.createTextNode(String(value))];
+}
+
+/**
+ * Internal helper: keep the nodes rendered after `marker` in sync with a hole value.
+ */
+function _bindNode(marker, value) {
+  let nodes = [];
+
+  const renderValue = (next) => {
+    const isText = next !== null && next !== undefined && typeof next !== 'object' && typeof next !== 'boolean';
+    if (isText && nodes.length === 1 && nodes[0].nodeType === 3) {
+      const text = String(next);
+      if (nodes[0].data !== text) nodes[0].data = text;
+      return;
+    }
+    nodes.forEach((node) => {
+      if (node.parentNode) node.parentNode.removeChild(node);
+    });
+    nodes = _toNodes(next);
+    const parent = marker.parentNode;
+    const anchor = marker.nextSibling;
+    nodes.forEach((node) => parent.insertBefore(node, anchor));
+  };
+
+  if (typeof value === 'function') {
+    createEffect(() => {
+      const next = value();
+      // nested html`` results created here are owned by this effect and disposed on re-run
+      untrack(() => renderValue(next));
+    });
+  } else {
+    renderValue(value);
+  }
+}
+
+/**
+ * Internal helper: replace javascript:/vbscript: URLs in URL attributes.
+ * Browsers ignore tabs, newlines and control characters in the scheme ('java\tscript:'),
+ * so those are removed before the check.
+ */
+function _safeUrl(name, value) {
+  if (typeof value !== 'string' || !URL_ATTRS.includes(name.toLowerCase())) return value;
+  if (UNSAFE_URL.test(value.replace(/[\u0000-\u0020]/g, ''))) {
+    console.warn(`html: blocked unsafe URL in "${name}"`);
+    return 'about:blank';
+  }
+  return value;
+}
+
+/**
+ * Internal helper: apply an attribute part (@event, .prop, ?bool or plain attribute).
+ */
+function _bindAttrPart(el, part, values) {
+  const { name, statics, holes } = part;
+  const prefix = name[0];
+  const single = holes.length === 1 && statics[0] === '' && statics[1] === '';
+
+  if (prefix === '@' || prefix === '.' || prefix === '?') {
+    if (!single) throw new Error(`html: ${name} must be a single \${value} with no surrounding text`);
+    const value = values[holes[0]];
+    const target = name.slice(1);
+
+    if (prefix === '@') {
+      if (value === null || value === undefined) return;
+      if (typeof value !== 'function') throw new Error(`html: ${name} expects a function`);
+      on(el, target, value); // removed with the template's root
+    } else if (prefix === '.') {
+      // URL properties (.href, .src, .formAction, ...) get the same check as attributes
+      bindProp(el, target, typeof value === 'function' ? () => _safeUrl(target, value()) : _safeUrl(target, value));
+    } else {
+      bindAttr(el, target, typeof value === 'function' ? () => !!value() : !!value);
+    }
+    return;
+  }
+
+  if (/^on/i.test(name)) {
+    throw new Error(`html: use @${name.slice(2)}=\${fn} instead of the inline handler ${name}`);
+  }
+
+  const read = (v) => (typeof v === 'function' ? v() : v);
+  const reactive = holes.some((h) => typeof values[h] === 'function');
+  const compute = () => {
+    if (single) return _safeUrl(name, read(values[holes[0]]));
+    let result = statics[0];
+    holes.forEach((h, k) => {
+      const v = read(values[h]);
+      result += (v === null || v === undefined || v === false ? '' : String(v)) + statics[k + 1];
+    });
+    return _safeUrl(name, result);
+  };
+  bindAttr(el, name, reactive ? compute : compute());
+}
+
+/**
+ * html`<markup>`
+ * - interpolated values are escaped: strings render as text, never as HTML
+ * - ${getter} in text or attribute position updates only that slot when the signal changes
+ * - @event=${fn} adds a listener, .prop=${v} sets a property, ?attr=${bool} toggles an attribute
+ * - returns { fragment, dispose }; dispose() removes listeners and stops the bindings
+ *   (it also runs when the current owner is disposed)
+ *
+ * const [count, setCount] = createSignal(0);
+ * const { fragment } = html`
+ *   <button class="btn ${() => count() > 5 ? 'hot' : ''}" @click=${() => setCount((c) => c + 1)}>
+ *     Clicked ${count} times
+ *   </button>`;
+ * document.body.append(fragment);
+ */
+export function html(strings, ...values) {
+  if (!strings || !Array.isArray(strings.raw || strings)) {
+    throw new Error('html: must be used as a tagged template (html`...`)');
+  }
+  let compiled = TEMPLATE_CACHE.get(strings);
+  if (!compiled) {
+    compiled = _compile(strings);
+    TEMPLATE_CACHE.set(strings, compiled);
+  }
+
+  const fragment = document.importNode(compiled.template.content, true);
+
+  const markers = {};
+  const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_COMMENT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.data.startsWith(MARKER_PREFIX)) markers[node.data.slice(MARKER_PREFIX.length)] = node;
+  }
+  const elements = {};
+  fragment.querySelectorAll(`[${MARKER_ATTR}]`).forEach((el) => {
+    elements[el.getAttribute(MARKER_ATTR)] = el;
+    el.removeAttribute(MARKER_ATTR);
+  });
+
+  const dispose = createRoot((disposeRoot) => {
+    compiled.parts.forEach((part) => {
+      if (part.type === 'node') _bindNode(markers[part.hole], values[part.hole]);
+      else _bindAttrPart(elements[part.element], part, values);
+    });
+    return disposeRoot;
+  });
+
+  if (getOwner()) onCleanup(dispose);
+  return { fragment, dispose };
+}
+
+export default {
+  html
+};
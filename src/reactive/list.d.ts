@@ -0,0 +1,17 @@
+// src/reactive/list.d.ts
+import type { SignalGetter } from './signals';
+
+export interface RenderListOptions<T, K = any> {
+  /** Identity of an item (default: the item itself) */
+  key?: (item: T, index: number) => K;
+  /** Render an item; effects created here are disposed when the item is removed */
+  render: (item: T, index: SignalGetter<number>) => Node | string | null | undefined;
+  /** Patch the existing node when a key receives a new item value (default: render again) */
+  update?: (node: Node, item: T, index: SignalGetter<number>) => void;
+}
+
+export function renderList<T, K = any>(
+  container: Element | { toArray(): Element[] },
+  items: Iterable<T> | (() => Iterable<T> | null | undefined),
+  options: RenderListOptions<T, K>
+): () => void;
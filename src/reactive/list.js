@@ -0,0 +1,184 @@
+// src/reactive/list.js
+// Keyed list rendering: reconcile a container's children from a reactive array.
+// - renderList(container, items, { key, render, update }) -> dispose()
+// - existing nodes are kept and moved (minimal moves via longest increasing subsequence),
+//   so focus, input state and per-item effects survive reordering
+// - every item renders inside its own root; removing the item disposes its effects
+
+import { createSignal, createEffect, createRoot, untrack, getOwner, runWithOwner, onCleanup } from './signals.js';
+
+function _toContainer(target) {
+  if (!target) return null;
+  if (typeof target.toArray === 'function') return target.toArray()[0] || null;
+  return target.nodeType ? target : null;
+}
+
+/**
+ * Internal helper: normalize whatever render() returned to a non-empty array of nodes.
+ * Fragments are unpacked; null/undefined become an empty text node so the item keeps a position.
+ */
+function _toNodes(value) {
+  if (value === null || value === undefined || value === false) return [document.createTextNode('')];
+  if (typeof value === 'string' || typeof value === 'number') return [document.createTextNode(String(value))];
+  if (value.nodeType === 11) {
+    const nodes = Array.from(value.childNodes);
+    return nodes.length ? nodes : [document.createTextNode('')];
+  }
+  if (value.nodeType) return [value];
+  throw new Error('renderList: render must return a Node, a string or null');
+}
+
+/**
+ * Internal helper: indexes of `seq` that form its longest increasing subsequence.
+ * Negative values (new items) are ignored.
+ */
+function _longestIncreasing(seq) {
+  const tails = [];
+  const prev = new Array(seq.length);
+  for (let i = 0; i < seq.length; i++) {
+    const value = seq[i];
+    if (value < 0) continue;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const result = new Set();
+  let i = tails.length ? tails[tails.length - 1] : -1;
+  while (i >= 0) {
+    result.add(i);
+    i = prev[i];
+  }
+  return result;
+}
+
+/**
+ * renderList(container, items, options)
+ * - container: element (or DOMUtilsCore wrapper) whose children are managed by the list
+ * - items: getter returning an array (signal, computed, () => state.todos) or a plain array
+ * - options.key(item, index): identity of an item (default: the item itself)
+ * - options.render(item, index): returns the item's Node; `index` is a signal getter
+ *   effects and bindings created here are disposed when the item is removed
+ * - options.update(node, item, index): called when a key receives a new item value;
+ *   without it the item is rendered again
+ * - returns dispose(); rendered nodes stay in place, per-item effects are disposed
+ *
+ * renderList(q('#list'), () => state.todos, {
+ *   key: (todo) => todo.id,
+ *   render: (todo) => {
+ *     const li = create('li');
+ *     bindText(li, () => todo.text);
+ *     return li;
+ *   }
+ * });
+ */
+export function renderList(container, items, options = {}) {
+  const { key = (item) => item, render, update = null } = options;
+  const parent = _toContainer(container);
+  if (!parent) throw new Error('renderList: container must be an element');
+  if (typeof render !== 'function') throw new Error('renderList: render must be a function');
+
+  let entries = [];
+  let byKey = new Map();
+
+  function createEntry(itemKey, item, index) {
+    return createRoot((dispose) => {
+      const [getIndex, setIndex] = createSignal(index);
+      const entry = { key: itemKey, item, getIndex, setIndex, dispose, owner: getOwner(), nodes: null };
+      entry.nodes = _toNodes(render(item, getIndex));
+      return entry;
+    });
+  }
+
+  function removeEntry(entry) {
+    entry.dispose();
+    entry.nodes.forEach((node) => {
+      if (node.parentNode) node.parentNode.removeChild(node);
+    });
+  }
+
+  function reconcile(list, keys) {
+    const nextEntries = [];
+    const nextByKey = new Map();
+    const oldPositions = new Map(entries.map((entry, i) => [entry, i]));
+    const positions = [];
+    const replaced = new Set();
+
+    list.forEach((item, i) => {
+      const itemKey = keys[i];
+      if (nextByKey.has(itemKey)) {
+        console.warn(`renderList: duplicate key "${String(itemKey)}", item ignored`);
+        return;
+      }
+      const index = nextEntries.length;
+      let entry = byKey.get(itemKey);
+
+      if (entry && entry.item !== item) {
+        if (typeof update === 'function') {
+          entry.item = item;
+          entry.setIndex(index);
+          runWithOwner(entry.owner, () => update(entry.nodes[0], item, entry.getIndex));
+        } else {
+          removeEntry(entry);
+          replaced.add(entry);
+          entry = null;
+        }
+      }
+
+      if (entry) {
+        entry.setIndex(index);
+        positions.push(oldPositions.get(entry));
+      } else {
+        entry = createEntry(itemKey, item, index);
+        positions.push(-1);
+      }
+      nextEntries.push(entry);
+      nextByKey.set(itemKey, entry);
+    });
+
+    entries.forEach((entry) => {
+      if (nextByKey.get(entry.key) !== entry && !replaced.has(entry)) removeEntry(entry);
+    });
+
+    // walk backwards so every entry is placed before the (already placed) next one;
+    // entries in the longest increasing run of old positions never move
+    const stable = _longestIncreasing(positions);
+    let anchor = null;
+    for (let i = nextEntries.length - 1; i >= 0; i--) {
+      const entry = nextEntries[i];
+      if (!stable.has(i)) {
+        entry.nodes.forEach((node) => parent.insertBefore(node, anchor));
+      }
+      anchor = entry.nodes[0];
+    }
+
+    entries = nextEntries;
+    byKey = nextByKey;
+  }
+
+  const stop = createEffect(() => {
+    const value = typeof items === 'function' ? items() : items;
+    const list = value === null || value === undefined ? [] : Array.from(value);
+    // keys are read tracked, so changing an item's key re-runs the list
+    const keys = list.map((item, i) => key(item, i));
+    untrack(() => reconcile(list, keys));
+  });
+
+  const dispose = () => {
+    stop();
+    entries.forEach((entry) => entry.dispose());
+    entries = [];
+    byKey = new Map();
+  };
+  if (getOwner()) onCleanup(dispose);
+  return dispose;
+}
+
+export default {
+  renderList
+};
@@ -0,0 +1,18 @@
+// src/reactive/model.d.ts
+import type { BindingTarget } from './bindings';
+
+export type ModelSource<T = any> =
+  | [get: () => T, set: (value: T | ((prev: T) => T)) => any, ...rest: any[]]
+  | [state: object, path: string | string[]];
+
+export interface ModelOptions {
+  /** Sync on 'change' instead of 'input' ('blur' for contenteditable) */
+  lazy?: boolean;
+  /** Transform the control value before writing it to the model */
+  parse?: (value: any, el: Element) => any;
+  /** Custom event name(s) to listen to */
+  event?: string;
+}
+
+export function model(target: BindingTarget, source: ModelSource, options?: ModelOptions): () => void;
+export const bindValue: typeof model;
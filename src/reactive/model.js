@@ -0,0 +1,225 @@
+// src/reactive/model.js
+// Two-way form bindings between inputs and signals / $state properties.
+// - model(el, [get, set], options?) or model(el, [state, 'user.name'], options?)
+// - handles text inputs, textarea, checkbox (boolean or array of values), radio groups,
+//   single/multiple select, number/range, date/time inputs and contenteditable
+// - returns a disposer(); also disposed with the current owner (createRoot/createEffect)
+
+import { createEffect, untrack, getOwner, onCleanup } from './signals.js';
+import { on } from '../core/events.js';
+
+const DATE_TYPES = ['date', 'datetime-local', 'month', 'week', 'time'];
+const NUMBER_TYPES = ['number', 'range'];
+const TEXT_KINDS = ['text', 'editable', 'number'];
+
+/**
+ * Internal helper: turn [get, set] or [state, 'path'] into { read, write }.
+ */
+function _resolveSource(source) {
+  if (!Array.isArray(source) || source.length < 2) {
+    throw new Error('model: source must be [get, set] or [state, path]');
+  }
+  const [a, b] = source;
+
+  if (typeof a === 'function' && typeof b === 'function') {
+    return { read: a, write: (value) => b(() => value) };
+  }
+
+  if (a && typeof a === 'object' && (typeof b === 'string' || Array.isArray(b))) {
+    const path = Array.isArray(b) ? b.map(String) : String(b).split('.').filter(Boolean);
+    if (!path.length) throw new Error('model: empty state path');
+    const key = path[path.length - 1];
+    const parent = () => path.slice(0, -1).reduce((obj, k) => (obj == null ? obj : obj[k]), a);
+    return {
+      read: () => {
+        const obj = parent();
+        return obj == null ? undefined : obj[key];
+      },
+      write: (value) => {
+        const obj = untrack(parent);
+        if (obj == null) throw new Error(`model: cannot set "${path.join('.')}", parent is ${obj}`);
+        obj[key] = value;
+      }
+    };
+  }
+
+  throw new Error('model: source must be [get, set] or [state, path]');
+}
+
+function _toElements(target) {
+  if (!target) return [];
+  if (typeof target.toArray === 'function') return target.toArray();
+  if (Array.isArray(target)) return target.filter(Boolean);
+  if (typeof NodeList !== 'undefined' && target instanceof NodeList) return Array.from(target);
+  return [target];
+}
+
+function _isContentEditable(el) {
+  if (el.isContentEditable) return true;
+  const attr = el.getAttribute && el.getAttribute('contenteditable');
+  return attr !== null && attr !== undefined && attr !== 'false';
+}
+
+function _kindOf(el) {
+  const tag = (el.tagName || '').toLowerCase();
+  const type = (el.type || '').toLowerCase();
+  if (tag === 'select') return el.multiple ? 'select-multiple' : 'select';
+  if (tag === 'input') {
+    if (type === 'checkbox') return 'checkbox';
+    if (type === 'radio') return 'radio';
+    if (NUMBER_TYPES.includes(type)) return 'number';
+    if (DATE_TYPES.includes(type)) return 'date';
+    return 'text';
+  }
+  if (tag === 'textarea') return 'text';
+  if (_isContentEditable(el)) return 'editable';
+  return 'text';
+}
+
+/**
+ * Internal helper: one adapter per kind of control.
+ * - get(el, current): value to write back (current = model value, used for arrays/Date)
+ * - set(el, value): reflect the model value in the control
+ */
+const ADAPTERS = {
+  text: {
+    get: (el) => el.value,
+    set: (el, value) => {
+      const next = value === null || value === undefined ? '' : String(value);
+      if (el.value !== next) el.value = next;
+    }
+  },
+  editable: {
+    get: (el) => el.textContent,
+    set: (el, value) => {
+      const next = value === null || value === undefined ? '' : String(value);
+      if (el.textContent !== next) el.textContent = next;
+    }
+  },
+  number: {
+    get: (el) => (el.value === '' ? null : Number(el.value)),
+    set: (el, value) => {
+      // keep partial input such as "1." untouched while it still means the same number
+      if (el.value !== '' && Number(el.value) === value) return;
+      el.value = value === null || value === undefined || Number.isNaN(value) ? '' : String(value);
+    }
+  },
+  date: {
+    get: (el, current) => {
+      if (!(current instanceof Date)) return el.value;
+      if (el.value === '') return null;
+      const ms = el.valueAsNumber;
+      return Number.isNaN(ms) ? new Date(el.value) : new Date(ms);
+    },
+    set: (el, value) => {
+      if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) { el.value = ''; return; }
+        try {
+          el.valueAsNumber = value.getTime();
+          return;
+        } catch (_) {
+          el.value = value.toISOString().slice(0, el.type === 'date' ? 10 : 16);
+          return;
+        }
+      }
+      const next = value === null || value === undefined ? '' : String(value);
+      if (el.value !== next) el.value = next;
+    }
+  },
+  checkbox: {
+    get: (el, current) => {
+      if (!Array.isArray(current)) return el.checked;
+      // array model: add/remove this checkbox's value
+      const without = current.filter((v) => String(v) !== el.value);
+      return el.checked ? without.concat(el.value) : without;
+    },
+    set: (el, value) => {
+      el.checked = Array.isArray(value) ? value.some((v) => String(v) === el.value) : !!value;
+    }
+  },
+  radio: {
+    get: (el) => el.value,
+    set: (el, value) => {
+      el.checked = value !== null && value !== undefined && String(value) === el.value;
+    }
+  },
+  select: {
+    get: (el) => el.value,
+    set: (el, value) => {
+      const next = value === null || value === undefined ? '' : String(value);
+      if (el.value !== next) el.value = next;
+    }
+  },
+  'select-multiple': {
+    get: (el) => Array.from(el.options).filter((o) => o.selected).map((o) => o.value),
+    set: (el, value) => {
+      const selected = Array.isArray(value) ? value.map(String) : [];
+      Array.from(el.options).forEach((o) => { o.selected = selected.includes(o.value); });
+    }
+  }
+};
+
+/**
+ * model(target, source, options)
+ * - target: element, radio/checkbox group (array, NodeList or wrapper)
+ * - source: [get, set] (e.g. createSignal result) or [state, 'path.to.prop']
+ * - options.lazy: sync on 'change' instead of 'input' (text-like controls; 'blur' for contenteditable)
+ * - options.parse(value, el): transform the control value before writing it (e.g. trim, Number)
+ * - options.event: custom event name(s) to listen to
+ *
+ * const [name, setName] = createSignal('');
+ * model(q('#name'), [name, setName], { parse: (v) => v.trim() });
+ * model(qa('input[name=plan]'), [form, 'plan']);
+ */
+export function model(target, source, options = {}) {
+  const { lazy = false, parse = null, event = null } = options;
+  const { read, write } = _resolveSource(source);
+  const els = _toElements(target);
+  if (!els.length) return () => {};
+
+  const offFns = [];
+  const disposers = els.map((el) => {
+    const kind = _kindOf(el);
+    const adapter = ADAPTERS[kind];
+
+    const events = event || (
+      ['checkbox', 'radio', 'select', 'select-multiple', 'date'].includes(kind) ? 'change'
+        : kind === 'editable' ? (lazy ? 'blur' : 'input')
+          : (lazy ? 'change' : 'input')
+    );
+
+    offFns.push(on(el, events, () => {
+      if (kind === 'radio' && !el.checked) return;
+      const current = untrack(read);
+      const raw = adapter.get(el, current);
+      write(typeof parse === 'function' ? parse(raw, el) : raw);
+    }));
+
+    // model -> control; text-like controls already showing the value are left alone,
+    // so parse() (trim, Number...) never rewrites what the user is typing
+    return createEffect(() => {
+      const value = read();
+      untrack(() => {
+        if (TEXT_KINDS.includes(kind) && typeof parse === 'function' && parse(adapter.get(el, value), el) === value) return;
+        adapter.set(el, value);
+      });
+    });
+  });
+
+  const dispose = () => {
+    disposers.forEach((d) => d());
+    offFns.forEach((off) => off());
+  };
+  if (getOwner()) onCleanup(dispose);
+  return dispose;
+}
+
+/**
+ * bindValue(target, source, options) - alias of model()
+ */
+export const bindValue = model;
+
+export default {
+  model,
+  bindValue
+};
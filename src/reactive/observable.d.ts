@@ -0,0 +1,27 @@
+// src/reactive/observable.d.ts
+import type { SignalGetter } from './signals';
+
+export interface Observer<T> {
+  next?(value: T): void;
+  error?(error: any): void;
+  complete?(): void;
+}
+
+export interface Subscription {
+  readonly closed: boolean;
+  unsubscribe(): void;
+}
+
+export interface InteropObservable<T> {
+  subscribe(observer: Observer<T> | ((value: T) => void)): Subscription | (() => void);
+}
+
+export interface SignalObservable<T> {
+  subscribe(observer?: Observer<T> | ((value: T) => void)): Subscription;
+}
+
+export function fromObservable<T>(observable: InteropObservable<T> | { [key: string]: any }, initial: T): SignalGetter<T>;
+export function fromObservable<T>(observable: InteropObservable<T> | { [key: string]: any }): SignalGetter<T | undefined>;
+export function fromAsyncIterable<T>(iterable: AsyncIterable<T> | AsyncIterator<T>, initial: T): SignalGetter<T>;
+export function fromAsyncIterable<T>(iterable: AsyncIterable<T> | AsyncIterator<T>): SignalGetter<T | undefined>;
+export function toObservable<T>(getter: () => T): SignalObservable<T>;
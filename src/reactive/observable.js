@@ -0,0 +1,139 @@
+// src/reactive/observable.js
+// Interop with Observable-style streams (RxJS, zen-observable, ...) and async iterables.
+// - fromObservable(obs, initial) / fromAsyncIterable(iter, initial): signal getter fed by the stream
+// - toObservable(getter): Symbol.observable-compatible stream of a signal's values
+// - streams are unsubscribed / iterators closed when the current owner is disposed
+
+import { createSignal, createEffect, createRoot, untrack, getOwner, onCleanup } from './signals.js';
+
+const $$observable = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+/**
+ * fromObservable(observable, initial) -> getter
+ * - accepts anything with subscribe(observer) or a Symbol.observable / '@@observable' method
+ * - every `next` value is written to the signal; stream errors are logged
+ *
+ * const clicks = fromObservable(fromEvent(button, 'click').pipe(scan((n) => n + 1, 0)), 0);
+ */
+export function fromObservable(observable, initial) {
+  const interop = observable && (observable[$$observable] || observable['@@observable']);
+  const source = typeof interop === 'function' ? interop.call(observable) : observable;
+  if (!source || typeof source.subscribe !== 'function') {
+    throw new Error('fromObservable: expected an object with a subscribe() method');
+  }
+
+  const [get, set] = createSignal(initial);
+  const subscription = source.subscribe({
+    next: (value) => set(() => value),
+    error: (err) => console.error('fromObservable: stream error', err),
+    complete: () => {}
+  });
+
+  if (getOwner()) {
+    onCleanup(() => {
+      if (typeof subscription === 'function') subscription();
+      else if (subscription && typeof subscription.unsubscribe === 'function') subscription.unsubscribe();
+    });
+  }
+  return get;
+}
+
+/**
+ * fromAsyncIterable(iterable, initial) -> getter
+ * - holds `initial` until the first value arrives, then each yielded value
+ * - disposing the owner stops reading and calls the iterator's return()
+ *
+ * async function* ticks() { let n = 0; while (true) { yield n++; await sleep(1000); } }
+ * const seconds = fromAsyncIterable(ticks(), 0);
+ */
+export function fromAsyncIterable(iterable, initial) {
+  const iterator = iterable && typeof iterable[Symbol.asyncIterator] === 'function'
+    ? iterable[Symbol.asyncIterator]()
+    : iterable;
+  if (!iterator || typeof iterator.next !== 'function') {
+    throw new Error('fromAsyncIterable: expected an async iterable');
+  }
+
+  const [get, set] = createSignal(initial);
+  let stopped = false;
+
+  (async () => {
+    try {
+      while (!stopped) {
+        const { value, done } = await iterator.next();
+        if (done || stopped) break;
+        set(() => value);
+      }
+    } catch (err) {
+      if (!stopped) console.error('fromAsyncIterable: iteration error', err);
+    }
+  })();
+
+  if (getOwner()) {
+    onCleanup(() => {
+      stopped = true;
+      if (typeof iterator.return === 'function') {
+        Promise.resolve(iterator.return()).catch(() => {});
+      }
+    });
+  }
+  return get;
+}
+
+/**
+ * toObservable(getter) -> { subscribe(observer | next) -> { unsubscribe }, [Symbol.observable]() }
+ * - emits the current value on subscribe, then every change
+ * - signals from createSignal() are followed through their subscribe(); other getters
+ *   (computeds, functions reading $state) through an effect
+ *
+ * import { from } from 'rxjs';
+ * from(toObservable(count)).pipe(debounceTime(300)).subscribe(save);
+ */
+export function toObservable(getter) {
+  if (typeof getter !== 'function') throw new Error('toObservable: expected a signal getter');
+
+  const observable = {
+    subscribe(observerOrNext) {
+      const observer = typeof observerOrNext === 'function' ? { next: observerOrNext } : observerOrNext || {};
+      const emit = (value) => {
+        if (typeof observer.next === 'function') observer.next(value);
+      };
+
+      let stop;
+      if (typeof getter.__subscribe === 'function') {
+        emit(getter.peek());
+        stop = getter.__subscribe(() => emit(getter.peek()));
+      } else {
+        stop = createRoot((dispose) => {
+          createEffect(() => {
+            const value = getter();
+            untrack(() => emit(value));
+          });
+          return dispose;
+        });
+      }
+
+      let closed = false;
+      return {
+        get closed() { return closed; },
+        unsubscribe() {
+          if (closed) return;
+          closed = true;
+          stop();
+        }
+      };
+    },
+    [$$observable]() {
+      return this;
+    }
+  };
+  // libraries that only look for the string key when Symbol.observable exists
+  if ($$observable !== '@@observable') observable['@@observable'] = observable[$$observable];
+  return observable;
+}
+
+export default {
+  fromObservable,
+  fromAsyncIterable,
+  toObservable
+};
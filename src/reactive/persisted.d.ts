@@ -0,0 +1,30 @@
+// src/reactive/persisted.d.ts
+import type { Signal, PersistAdapter } from './signals';
+
+export interface PersistOptions<T = any> {
+  /** 'local' (default) or 'session' */
+  type?: 'local' | 'session';
+  /** ms until the stored value expires (setStorageWithExpiration format) */
+  ttl?: number;
+  /** Convert the value to something JSON can store */
+  serialize?: (value: T) => any;
+  /** Rebuild the value from what was stored */
+  deserialize?: (stored: any) => T;
+  /** Follow changes made in other tabs (default true) */
+  sync?: boolean;
+}
+
+export interface StorageAdapter<T = any> extends PersistAdapter {
+  key: string;
+  load(): T | undefined;
+  save(value: T | undefined): boolean;
+  watch(fn: (value: T | undefined) => void): () => void;
+}
+
+export function persist<T = any>(key: string, options?: PersistOptions<T>): StorageAdapter<T>;
+
+export function createPersistedSignal<T>(
+  key: string,
+  initial: T,
+  options?: PersistOptions<T> & { equals?: false | ((prev: T, next: T) => boolean) }
+): Signal<T>;
@@ -0,0 +1,126 @@
+// src/reactive/persisted.js
+// Signals and $state stores persisted to localStorage / sessionStorage.
+// - createPersistedSignal(key, initial, options): [get, set, subscribe] read from and written to storage
+// - persist(key, options): storage adapter for $state(initial, { persist: persist('key') })
+// - values written with a ttl use the setStorageWithExpiration() format; changes made in other
+//   tabs (storage event) update the signal / store live
+
+import { createSignal, getOwner, onCleanup } from './signals.js';
+import { getStorage, setStorage, removeStorage, setStorageWithExpiration, onStorageChange } from '../utils/storage.js';
+
+const MISSING = {}; // distinguishes "not stored" from a stored null
+const identity = (value) => value;
+
+/**
+ * persist(key, { type, ttl, serialize, deserialize, sync })
+ * - type: 'local' (default) or 'session'
+ * - ttl: ms until the stored value expires (written as { value, expiration })
+ * - serialize(value) / deserialize(stored): convert to and from a JSON-friendly value
+ *   (e.g. Date -> ISO string, Map -> entries array)
+ * - sync: follow changes made in other tabs (default true)
+ * - returns an adapter { key, load(), save(value), watch(fn) } used by createPersistedSignal and $state
+ */
+export function persist(key, options = {}) {
+  if (!key) throw new Error('persist: key is required');
+  const { type = 'local', ttl = 0, serialize = identity, deserialize = identity, sync = true } = options;
+
+  return {
+    key,
+
+    /**
+     * load() -> stored value, or undefined when missing, expired or unreadable
+     */
+    load() {
+      let data = getStorage(key, { type, default: MISSING });
+      if (data === MISSING) return undefined;
+
+      // same envelope as setStorageWithExpiration()
+      if (data && typeof data === 'object' && 'expiration' in data && 'value' in data) {
+        if (Date.now() > data.expiration) {
+          removeStorage(key, { type });
+          return undefined;
+        }
+        data = data.value;
+      }
+
+      try {
+        return deserialize(data);
+      } catch (err) {
+        console.warn(`persist: could not deserialize "${key}", using the initial value`, err);
+        return undefined;
+      }
+    },
+
+    /**
+     * save(value): write value (undefined removes the key)
+     */
+    save(value) {
+      if (value === undefined) return removeStorage(key, { type });
+      let data;
+      try {
+        data = serialize(value);
+      } catch (err) {
+        console.error(`persist: could not serialize "${key}"`, err);
+        return false;
+      }
+      if (ttl > 0) return setStorageWithExpiration(key, data, ttl, { type });
+      // always store JSON so strings such as "123" or "true" read back as strings
+      try {
+        return setStorage(key, JSON.stringify(data), { type });
+      } catch (err) {
+        console.error(`persist: could not serialize "${key}"`, err);
+        return false;
+      }
+    },
+
+    /**
+     * watch(fn) -> unwatch: fn(value) when another tab changes the key (value undefined when removed)
+     */
+    watch(fn) {
+      if (!sync || typeof window === 'undefined') return () => {};
+      return onStorageChange(key, (e) => fn(e.newValue === null ? undefined : this.load()), { type });
+    }
+  };
+}
+
+/**
+ * createPersistedSignal(key, initial, { type, ttl, serialize, deserialize, sync, equals })
+ * - starts from the stored value (or `initial` when missing/expired) and writes every change back
+ * - setting undefined removes the key
+ * - returns [get, set, subscribe] like createSignal; stops syncing when the current owner is disposed
+ *
+ * const [theme, setTheme] = createPersistedSignal('theme', 'light');
+ * const [draft, setDraft] = createPersistedSignal('draft', '', { type: 'session', ttl: 60 * 60 * 1000 });
+ */
+export function createPersistedSignal(key, initial, options = {}) {
+  const adapter = persist(key, options);
+  const stored = adapter.load();
+  const [get, set, subscribe] = createSignal(stored === undefined ? initial : stored, { equals: options.equals });
+
+  let external = MISSING; // value that came from another tab: don't write it back
+  const unsubscribe = subscribe(() => {
+    const value = get.peek();
+    const fromOtherTab = external !== MISSING && value === external;
+    external = MISSING;
+    if (!fromOtherTab) adapter.save(value);
+  });
+
+  const unwatch = adapter.watch((value) => {
+    external = value === undefined ? initial : value;
+    set(() => external);
+  });
+
+  if (getOwner()) {
+    onCleanup(() => {
+      unsubscribe();
+      unwatch();
+    });
+  }
+
+  return [get, set, subscribe];
+}
+
+export default {
+  persist,
+  createPersistedSignal
+};
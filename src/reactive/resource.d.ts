@@ -0,0 +1,35 @@
+// src/reactive/resource.d.ts
+import type { SignalGetter } from './signals';
+
+export interface ResourceFetcherInfo<T> {
+  /** Aborted when a newer request starts or the owner is disposed */
+  signal?: AbortSignal;
+  /** false on source changes, the value passed to refetch() otherwise */
+  refetching: unknown;
+  /** Current data before this request */
+  value: T | undefined;
+}
+
+export interface ResourceOptions<T> {
+  initialValue?: T;
+}
+
+export interface Resource<T> {
+  data: SignalGetter<T | undefined>;
+  loading: SignalGetter<boolean>;
+  error: SignalGetter<any>;
+  refetch(info?: unknown): Promise<T | undefined>;
+  mutate(value: T | undefined): T | undefined;
+}
+
+export type ResourceSource<S> = S | false | null | undefined | (() => S | false | null | undefined);
+
+export function createResource<T, S>(
+  source: ResourceSource<S>,
+  fetcher: (source: S, info: ResourceFetcherInfo<T>) => T | Promise<T>,
+  options?: ResourceOptions<T>
+): Resource<T>;
+export function createResource<T>(
+  fetcher: (source: true, info: ResourceFetcherInfo<T>) => T | Promise<T>,
+  options?: ResourceOptions<T>
+): Resource<T>;
@@ -0,0 +1,121 @@
+// src/reactive/resource.js
+// Async data bound to signals.
+// - createResource(source?, fetcher, options?): { data, loading, error, refetch, mutate }
+// - re-fetches when the source signal changes; stale requests are aborted and their results ignored
+
+import { createSignal, createEffect, batch, untrack, onCleanup } from './signals.js';
+
+/**
+ * createResource(source, fetcher, { initialValue })
+ * createResource(fetcher, { initialValue })
+ *
+ * - source: signal getter (or plain value); fetching is skipped while it is null, undefined or false
+ * - fetcher(sourceValue, { signal, refetching, value }) -> Promise
+ *   `signal` is an AbortSignal aborted when a newer request starts or the owner is disposed,
+ *   so it can be passed straight to ajax(): ajax.json(url, { signal })
+ * - returns { data, loading, error, refetch, mutate }
+ *
+ * const [userId, setUserId] = createSignal(1);
+ * const user = createResource(userId, (id, { signal }) => json(`/api/users/${id}`, { signal }));
+ * createEffect(() => { if (!user.loading()) render(user.data()); });
+ */
+export function createResource(source, fetcher, options = {}) {
+  // createResource(fetcher, options): no source, fetch once
+  if (typeof fetcher !== 'function') {
+    options = fetcher || {};
+    fetcher = source;
+    source = true;
+  }
+  if (typeof fetcher !== 'function') throw new Error('createResource: fetcher must be a function');
+
+  const { initialValue } = options;
+  const [data, setData] = createSignal(initialValue);
+  const [loading, setLoading] = createSignal(false);
+  const [error, setError] = createSignal(undefined);
+
+  let controller = null;
+  let requestId = 0; // only the latest request may write its result
+  let lastSource;
+
+  const abort = () => {
+    requestId++;
+    if (controller) {
+      try { controller.abort(); } catch (_) {}
+      controller = null;
+    }
+  };
+
+  function load(sourceValue, refetching) {
+    abort();
+    const id = requestId;
+
+    if (sourceValue == null || sourceValue === false) {
+      setLoading(false);
+      return Promise.resolve(untrack(data));
+    }
+
+    controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const signal = controller ? controller.signal : undefined;
+
+    batch(() => {
+      setLoading(true);
+      setError(undefined);
+    });
+
+    let promise;
+    try {
+      promise = Promise.resolve(fetcher(sourceValue, { signal, refetching, value: untrack(data) }));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+
+    return promise.then((value) => {
+      if (id !== requestId) return value; // out of order: a newer request owns the state
+      controller = null;
+      batch(() => {
+        setData(() => value);
+        setLoading(false);
+      });
+      return value;
+    }, (err) => {
+      if (id !== requestId) return undefined;
+      controller = null;
+      batch(() => {
+        setError(err);
+        setLoading(false);
+      });
+      return undefined;
+    });
+  }
+
+  createEffect(() => {
+    lastSource = typeof source === 'function' ? source() : source;
+    untrack(() => load(lastSource, false));
+    // runs before the next source change and when the owner is disposed
+    onCleanup(abort);
+  });
+
+  return {
+    data,
+    loading,
+    error,
+    /**
+     * refetch(info?) -> Promise: fetch again with the current source value
+     * `info` is passed to the fetcher as `refetching` (true when omitted)
+     */
+    refetch(info = true) {
+      return load(lastSource, info);
+    },
+    /**
+     * mutate(value): set data locally (optimistic updates) without fetching
+     */
+    mutate(value) {
+      setData(() => value);
+      return value;
+    }
+  };
+}
+
+export default {
+  createResource
+};
@@ -1,16 +1,128 @@
 // src/reactive/signals.d.ts
+export interface SignalGetter<T> {
+  (): T;
+  /** Read the current value without subscribing the active effect */
+  peek(): T;
+}
+
 export type Signal<T> = [
-  get: () => T,
+  /** also async iterable: yields the current value, then every change */
+  get: SignalGetter<T> & AsyncIterable<T>,
   set: (value: T | ((prev: T) => T)) => T,
   subscribe: (fn: () => void) => () => void
 ];
 
 export interface StateProxy {
-  subscribe(fn: (key: string, oldVal: any, newVal: any) => void): () => void;
+  /** key is dotted for nested changes ('user.name'); path holds the same keys as an array (Map keys / Set values as-is) */
+  subscribe(fn: (key: string, oldVal: any, newVal: any, path: any[]) => void): () => void;
   inspect(): Record<string, any>;
 }
 
-export function createSignal<T>(initial: T): Signal<T>;
-export function createEffect(fn: () => void | (() => void)): () => void;
-export function createComputed<T>(fn: () => T): () => T;
-export function $state<T extends object>(initial: T): T & StateProxy;
\ No newline at end of file
+export type EqualsFn<T> = (prev: T, next: T) => boolean;
+
+export interface SignalOptions<T> {
+  /** false: always notify; function: return true to skip notification */
+  equals?: false | EqualsFn<T>;
+  /** Label shown by debug warnings and getDependencies/getObservers */
+  name?: string;
+}
+
+/** Storage adapter for $state, e.g. persist(key, options) from reactive/persisted */
+export interface PersistAdapter {
+  load(): any;
+  save(value: any): any;
+  watch?(fn: (value: any) => void): () => void;
+}
+
+export interface StateOptions {
+  equals?: false | EqualsFn<any>;
+  /** Prefix for property names in debug output ('store.user.name') */
+  name?: string;
+  /** Load the initial state from storage and write every change back (once per tick) */
+  persist?: PersistAdapter;
+}
+
+export function createSignal<T>(initial: T, options?: SignalOptions<T>): Signal<T>;
+export interface NodeOptions {
+  /** Label shown by debug warnings, errors and getDependencies/getObservers */
+  name?: string;
+}
+
+export function createEffect(fn: () => void | (() => void) | Promise<unknown>, options?: NodeOptions): () => void;
+export function createComputed<T>(fn: () => T, options?: NodeOptions): SignalGetter<T>;
+export function $state<T extends object>(initial: T, options?: StateOptions): T & StateProxy;
+
+export type SchedulerMode = 'sync' | 'microtask';
+
+export function batch<T>(fn: () => T): T;
+export function setScheduler(mode: SchedulerMode): SchedulerMode;
+export function flushSync(): void;
+export function tick(): Promise<void>;
+
+export interface OnOptions {
+  /** Skip the first run and only react to changes */
+  defer?: boolean;
+}
+
+export function untrack<T>(fn: () => T): T;
+export function on<T, R>(
+  deps: () => T,
+  fn: (input: T, prevInput: T | undefined, prevValue: R | undefined) => R,
+  options?: OnOptions
+): () => R | undefined;
+export function on<T extends readonly (() => any)[], R>(
+  deps: [...T],
+  fn: (
+    input: { [K in keyof T]: ReturnType<T[K]> },
+    prevInput: { [K in keyof T]: ReturnType<T[K]> } | undefined,
+    prevValue: R | undefined
+  ) => R,
+  options?: OnOptions
+): () => R | undefined;
+
+/** Opaque ownership node (effect, computed or root) */
+export interface Owner {}
+
+export function createRoot<T>(fn: (dispose: () => void) => T): T;
+export function onCleanup<T extends () => void>(fn: T): T;
+export function getOwner(): Owner | null;
+export function runWithOwner<T>(owner: Owner | null, fn: () => T): T;
+
+/** isSelected(key) re-runs an effect only when that key's result changes */
+export function createSelector<T, K = T>(
+  source: () => T,
+  fn?: (key: K, value: T) => boolean
+): (key: K) => boolean;
+export function shallowEqual(a: any, b: any): boolean;
+export function deepEqual(a: any, b: any): boolean;
+
+export function toRaw<T>(value: T): T;
+
+export interface GraphNode {
+  name: string;
+  type: 'signal' | 'computed' | 'state' | 'effect' | 'subscriber';
+  node: any;
+  /** runs (effects) or recomputations (computeds) */
+  runs?: number;
+}
+
+/** Enable warnings for looping / self-writing effects; returns the previous setting */
+export function setDebug(enabled?: boolean): boolean;
+/** Signals read during the last run of an effect (its disposer) or a computed */
+export function getDependencies(effectOrComputed: (() => void) | SignalGetter<any>): GraphNode[];
+/** Effects, computeds and subscribers that depend on a signal, a computed or a $state property */
+export function getObservers(signal: SignalGetter<any>): GraphNode[];
+export function getObservers(state: object, prop: PropertyKey): GraphNode[];
+export function getRunCount(effectOrComputed: (() => void) | SignalGetter<any>): number;
+
+export interface ReactiveErrorInfo {
+  /** where the error was thrown */
+  type: 'effect' | 'computed' | 'subscriber' | 'cleanup' | 'catchError';
+  /** name of the node (or function) that threw */
+  name: string;
+}
+
+/** Run fn inside an error boundary: errors from effects, computeds, subscribers and cleanups created inside go to handler */
+export function catchError<T>(fn: () => T, handler: (error: any, info: ReactiveErrorInfo) => void): T | undefined;
+/** Observe every reactive error (handled or not); returns an unsubscribe function */
+export function onReactiveError(fn: (error: any, info: ReactiveErrorInfo & { handled: boolean }) => void): () => void;
@@ -2,15 +2,47 @@
 // Improved reactive primitives with dependency tracking, cleanup and disposers.
 // - createSignal: [get, set, subscribe]
 // - createEffect(fn): returns disposer()
-// - createComputed(fn): returns getter that caches and invalidates automatically
-// - $state: proxy that participates in dependency tracking per-property
+// - createComputed(fn): returns a lazy, trackable getter that notifies only when its value changes
+// - $state: deep proxy (objects, arrays, Map, Set) that participates in dependency tracking per-property
+// - batch(fn): group writes so dependents run once, after the outermost batch
+// - untrack(fn) / getter.peek() / on(deps, fn): explicit control over what gets tracked
+// - createRoot(fn) / onCleanup(fn): ownership tree, nested effects are disposed with their owner
+// - createSelector(source): per-key tracking, a selection change re-runs only the affected effects
+// - shallowEqual / deepEqual: comparators for the `equals` option of createSignal and $state
+// - $state(initial, { persist }): load/save through a storage adapter (see reactive/persisted.js)
+// - setDebug(true) / getDependencies / getObservers / getRunCount: named nodes, graph introspection,
+//   warnings for looping and self-writing effects
+// - catchError(fn, handler) / onReactiveError(fn): error boundaries and a global error hook
+// - signal getters are async iterable: for await (const value of count) { ... }
 
 const EFFECT_STACK = []; // stack of active effect runners
-const EFFECT_DEPS = new WeakMap(); // Map<runner, Set<signalKey>>
+const EFFECT_DEPS = new WeakMap(); // Map<runner, Map<signalKey, version>>
+
+// Scheduling state
+const PENDING = new Map(); // Map<runner, 'dirty' | 'check'> waiting for the next flush (deduped)
+const MAX_FLUSH_PASSES = 100; // guard against effects that keep re-triggering each other
+let BATCH_DEPTH = 0;
+let FLUSHING = false;
+let FLUSH_QUEUED = false;
+let SCHEDULER = 'sync'; // 'sync' | 'microtask'
+let RUNNER_ORDER = 0;
+
+// Ownership: every effect/computed/root is an owner node; the active one adopts what gets created
+let CURRENT_OWNER = null;
+
+// Debug: names are always assigned (cheap); warnings only run when DEBUG is on
+let DEBUG = false;
+let NODE_ID = 0;
+const LOOP_WARN_RUNS = 25; // runs of one effect within a single flush before warning
+const TARGET_LABELS = new WeakMap(); // Map<$state target, () => 'name.path'>
+
+// Errors: owners created by catchError carry an onError handler; listeners see every error
+const ERROR_LISTENERS = new Set();
 
 /**
  * Internal helper: track that `runner` depends on `signalKey`.
  * signalKey is any object with a __subs Set (e.g. a getter function or a property signal object).
+ * Computed getters also carry a __version, recorded so a later check can tell whether they changed.
  */
 function _trackDependency(runner, signalKey) {
   if (!runner || !signalKey) return;
@@ -21,17 +53,666 @@ function _trackDependency(runner, signalKey) {
 
   let deps = EFFECT_DEPS.get(runner);
   if (!deps) {
-    deps = new Set();
+    deps = new Map();
     EFFECT_DEPS.set(runner, deps);
   }
-  deps.add(signalKey);
+  deps.set(signalKey, signalKey.__version);
+}
+
+/**
+ * Internal helper: remove `runner` from every signal it currently depends on.
+ */
+function _untrackAll(runner) {
+  const deps = EFFECT_DEPS.get(runner);
+  if (!deps) return;
+  deps.forEach((_version, sigKey) => {
+    try { sigKey.__subs && sigKey.__subs.delete(runner); } catch (_) {}
+  });
+  EFFECT_DEPS.delete(runner);
+}
+
+/**
+ * Internal helper: readable name of a node (signal getter, computed, effect runner, $state property).
+ */
+function _nameOf(node) {
+  if (!node) return 'unknown';
+  if (node.__name) return node.__name;
+  if (node.__target) {
+    const label = TARGET_LABELS.get(node.__target);
+    const prop = typeof node.__prop === 'symbol' ? '[keys]' : String(node.__prop);
+    return label ? `${label()}.${prop}` : prop;
+  }
+  return node.name || 'anonymous';
+}
+
+/**
+ * Internal helper: warn when the running effect writes to a signal it also reads (debug only).
+ */
+function _warnSelfWrite(signalKey) {
+  const active = EFFECT_STACK[EFFECT_STACK.length - 1];
+  const deps = active && EFFECT_DEPS.get(active);
+  if (deps && deps.has(signalKey)) {
+    console.warn(`signals: "${_nameOf(active)}" writes to "${_nameOf(signalKey)}", which it also reads; it will run again`);
+  }
+}
+
+/**
+ * Internal helper: route an error thrown by an effect, computed, subscriber or cleanup.
+ * - the closest catchError boundary above `owner` handles it (a failing handler bubbles further up)
+ * - onReactiveError listeners are told about every error, handled or not
+ * - unhandled errors are logged with `label`
+ */
+function _handleError(err, owner, type, name, label) {
+  let error = err;
+  let handled = false;
+  for (let node = owner; node; node = node.owner) {
+    // a boundary being disposed still receives errors thrown by the cleanups it runs
+    if (typeof node.onError !== 'function' || (node.disposed && type !== 'cleanup')) continue;
+    try {
+      untrack(() => node.onError(error, { type, name }));
+      handled = true;
+      break;
+    } catch (next) {
+      error = next;
+    }
+  }
+  ERROR_LISTENERS.forEach((fn) => {
+    try { fn(error, { type, name, handled }); } catch (listenerErr) { console.error(listenerErr); }
+  });
+  if (!handled) console.error(label, error);
+  return handled;
+}
+
+/**
+ * Internal helper: bring the computed dependencies of `runner` up to date and
+ * report whether any of them produced a new value since `runner` last read it.
+ */
+function _depsChanged(runner) {
+  const deps = EFFECT_DEPS.get(runner);
+  if (!deps) return false;
+  for (const [sigKey, version] of deps) {
+    if (typeof sigKey.__refresh !== 'function') continue;
+    sigKey.__refresh();
+    if (sigKey.__version !== version) return true;
+  }
+  return false;
+}
+
+/**
+ * Internal helper: create an owner node.
+ * When `adopt` is true it is registered as a child of the current owner,
+ * so it is disposed when that owner re-runs or is disposed.
+ */
+function _createOwner(adopt = true) {
+  const owner = { owner: CURRENT_OWNER, owned: null, cleanups: null, disposed: false, onDispose: null };
+  if (adopt && CURRENT_OWNER) {
+    if (!CURRENT_OWNER.owned) CURRENT_OWNER.owned = new Set();
+    CURRENT_OWNER.owned.add(owner);
+  }
+  return owner;
+}
+
+function _runWithOwner(owner, fn) {
+  const prev = CURRENT_OWNER;
+  CURRENT_OWNER = owner;
+  try {
+    return fn();
+  } finally {
+    CURRENT_OWNER = prev;
+  }
+}
+
+/**
+ * Internal helper: dispose every child of `owner` and run its onCleanup callbacks.
+ * The owner itself stays alive (used before an effect re-runs).
+ */
+function _cleanOwner(owner) {
+  if (owner.owned) {
+    const children = Array.from(owner.owned);
+    owner.owned = null;
+    children.forEach((child) => _disposeOwner(child));
+  }
+  if (owner.cleanups) {
+    const cleanups = owner.cleanups;
+    owner.cleanups = null;
+    cleanups.forEach((fn) => {
+      try { fn(); } catch (err) { _handleError(err, owner, 'cleanup', fn.name || 'onCleanup', 'onCleanup error'); }
+    });
+  }
+}
+
+function _disposeOwner(owner) {
+  if (owner.disposed) return;
+  owner.disposed = true;
+  _cleanOwner(owner);
+  if (typeof owner.onDispose === 'function') owner.onDispose();
+  if (owner.owner && owner.owner.owned) owner.owner.owned.delete(owner);
+}
+
+/**
+ * createRoot(fn)
+ * - creates an ownership scope that is not tracked and not disposed by its parent
+ * - fn(dispose): everything created inside (effects, computeds, onCleanup) is released by dispose()
+ * - returns whatever fn returns
+ */
+export function createRoot(fn) {
+  if (typeof fn !== 'function') throw new Error('createRoot: fn must be a function');
+  const root = _createOwner(false);
+  const dispose = () => _disposeOwner(root);
+  EFFECT_STACK.push(null);
+  try {
+    return _runWithOwner(root, () => fn(dispose));
+  } finally {
+    EFFECT_STACK.pop();
+  }
+}
+
+/**
+ * onCleanup(fn)
+ * - registers fn on the current owner (effect, computed or root)
+ * - it runs before the owner re-runs and when the owner is disposed
+ */
+export function onCleanup(fn) {
+  if (typeof fn !== 'function') return fn;
+  if (!CURRENT_OWNER) {
+    console.warn('onCleanup: called outside of createRoot/createEffect, it will never run');
+    return fn;
+  }
+  if (!CURRENT_OWNER.cleanups) CURRENT_OWNER.cleanups = [];
+  CURRENT_OWNER.cleanups.push(fn);
+  return fn;
+}
+
+/**
+ * getOwner() / runWithOwner(owner, fn)
+ * - capture the current owner and restore it later (e.g. after an await),
+ *   so effects created asynchronously are still owned and disposed correctly
+ */
+export function getOwner() {
+  return CURRENT_OWNER;
+}
+
+export function runWithOwner(owner, fn) {
+  if (typeof fn !== 'function') throw new Error('runWithOwner: fn must be a function');
+  return _runWithOwner(owner || null, fn);
+}
+
+/**
+ * Internal helper: give a runner a stable creation index.
+ * Effects created inside other effects always get a higher index than their parent,
+ * so sorting by it yields a topological order for flushing.
+ */
+function _order(runner) {
+  if (runner.__order == null) runner.__order = ++RUNNER_ORDER;
+  return runner.__order;
+}
+
+function _runQueued(runner) {
+  try {
+    runner();
+  } catch (err) {
+    // effects and computeds handle their own errors; this is a subscribe() callback
+    const name = _nameOf(runner);
+    _handleError(err, runner.__owner || null, 'subscriber', name, `signals: error in subscriber "${name}"`);
+  }
+}
+
+/**
+ * Internal helper: run every pending runner once, in creation order.
+ * Runners queued while flushing are picked up by the next pass.
+ */
+function _flush() {
+  if (FLUSHING) return;
+  FLUSHING = true;
+  let passes = 0;
+  const runs = DEBUG ? new Map() : null; // runs per runner in this flush
+  try {
+    while (PENDING.size) {
+      if (++passes > MAX_FLUSH_PASSES) {
+        const names = DEBUG ? Array.from(PENDING.keys()).map(_nameOf).join(', ') : '';
+        PENDING.clear();
+        console.error(`signals: flush aborted, effects keep re-triggering each other${names ? `: ${names}` : ''}`);
+        break;
+      }
+      const queue = Array.from(PENDING.keys()).sort((a, b) => _order(a) - _order(b));
+      for (const runner of queue) {
+        const state = PENDING.get(runner);
+        if (state === undefined) continue;
+        PENDING.delete(runner);
+        // reached only through computeds: skip when none of them actually changed
+        if (state === 'check' && !_depsChanged(runner)) continue;
+        if (runs) {
+          const count = (runs.get(runner) || 0) + 1;
+          runs.set(runner, count);
+          if (count === LOOP_WARN_RUNS) {
+            console.warn(`signals: "${_nameOf(runner)}" ran ${count} times in one flush, it may be re-triggering itself`);
+          }
+        }
+        _runQueued(runner);
+      }
+    }
+  } finally {
+    FLUSHING = false;
+  }
+}
+
+function _scheduleFlush() {
+  if (BATCH_DEPTH > 0 || FLUSHING || !PENDING.size) return;
+  if (SCHEDULER === 'microtask') {
+    if (FLUSH_QUEUED) return;
+    FLUSH_QUEUED = true;
+    queueMicrotask(() => {
+      FLUSH_QUEUED = false;
+      _flush();
+    });
+    return;
+  }
+  _flush();
+}
+
+/**
+ * Internal helper: mark a subscriber as stale.
+ * Computeds are only flagged (and forward a 'check' to their own subscribers);
+ * everything else is queued for the next flush.
+ */
+function _mark(runner, state) {
+  if (runner.__computed) {
+    runner.__computed(state);
+    return;
+  }
+  if (PENDING.get(runner) === 'dirty') return;
+  PENDING.set(runner, state);
+}
+
+/**
+ * Internal helper: queue every subscriber of a signal key and flush
+ * (immediately, after the outermost batch, or on the next microtask).
+ * The whole graph is marked before anything runs, so dependents never see half-updated values.
+ */
+function _notify(subs) {
+  if (!subs || !subs.size) return;
+  Array.from(subs).forEach((runner) => _mark(runner, 'dirty'));
+  _scheduleFlush();
+}
+
+/**
+ * batch(fn)
+ * - runs fn and defers notifications until the outermost batch finishes
+ * - each dependent runner executes once, no matter how many of its signals changed
+ * - returns whatever fn returns
+ */
+export function batch(fn) {
+  if (typeof fn !== 'function') throw new Error('batch: fn must be a function');
+  BATCH_DEPTH++;
+  try {
+    return fn();
+  } finally {
+    BATCH_DEPTH--;
+    if (BATCH_DEPTH === 0) _flush();
+  }
+}
+
+/**
+ * Internal helper: group the notifications of one store write like batch(), but leave the
+ * flush to the scheduler (so $state writes are coalesced with setScheduler('microtask'))
+ */
+function _group(fn) {
+  BATCH_DEPTH++;
+  try {
+    return fn();
+  } finally {
+    BATCH_DEPTH--;
+    if (BATCH_DEPTH === 0) _scheduleFlush();
+  }
+}
+
+/**
+ * setScheduler(mode)
+ * - 'sync' (default): writes outside a batch notify dependents right away
+ * - 'microtask': writes are coalesced and flushed once on the next microtask
+ * - returns the previous mode
+ */
+export function setScheduler(mode) {
+  if (mode !== 'sync' && mode !== 'microtask') {
+    throw new Error(`setScheduler: unknown mode "${mode}"`);
+  }
+  const prev = SCHEDULER;
+  SCHEDULER = mode;
+  if (mode === 'sync') flushSync();
+  return prev;
+}
+
+/**
+ * flushSync()
+ * - runs every pending runner now instead of waiting for the microtask
+ */
+export function flushSync() {
+  if (BATCH_DEPTH === 0) _flush();
+}
+
+/**
+ * tick()
+ * - resolves once the pending microtask flush (if any) has run
+ */
+export function tick() {
+  return Promise.resolve().then(() => flushSync());
+}
+
+/**
+ * untrack(fn)
+ * - runs fn without registering any of its reads on the active effect/computed
+ * - returns whatever fn returns
+ */
+export function untrack(fn) {
+  if (typeof fn !== 'function') throw new Error('untrack: fn must be a function');
+  EFFECT_STACK.push(null);
+  try {
+    return fn();
+  } finally {
+    EFFECT_STACK.pop();
+  }
+}
+
+/**
+ * on(deps, fn, { defer })
+ * - builds a function for createEffect/createComputed that tracks only `deps`
+ *   (a getter or an array of getters); fn runs untracked
+ * - fn(input, prevInput, prevValue): input is the getter value (or array of values)
+ * - defer: true skips the first run and only reacts to changes
+ *
+ * createEffect(on(count, (value, prev) => console.log(prev, '->', value)));
+ */
+export function on(deps, fn, options = {}) {
+  if (typeof fn !== 'function') throw new Error('on: fn must be a function');
+  const { defer = false } = options;
+  const isArray = Array.isArray(deps);
+  let prevInput;
+  let prevValue;
+  let skip = defer;
+
+  return () => {
+    const input = isArray ? deps.map((dep) => dep()) : deps();
+    if (skip) {
+      skip = false;
+      prevInput = input;
+      return undefined;
+    }
+    const result = untrack(() => fn(input, prevInput, prevValue));
+    prevInput = input;
+    prevValue = result;
+    return result;
+  };
+}
+
+/**
+ * createSelector(source, fn = (key, value) => key === value)
+ * - returns isSelected(key): a tracked read that depends on `key` only
+ * - when source changes, only effects whose fn(key, value) result flipped re-run,
+ *   so moving a selection across 1,000 rows re-runs two rows instead of all of them
+ *
+ * const isSelected = createSelector(selectedId);
+ * rows.forEach((row) => bindClass(row.el, 'selected', () => isSelected(row.id)));
+ */
+export function createSelector(source, fn) {
+  if (typeof source !== 'function') throw new Error('createSelector: source must be a getter');
+  const byIdentity = typeof fn !== 'function';
+  const matches = byIdentity ? (key, value) => key === value : fn;
+  const keys = new Map(); // Map<key, signalKey> for keys read inside effects
+  let prev;
+  let initialized = false;
+
+  const notifyKey = (key, sig) => {
+    if (!sig) return;
+    if (sig.__subs.size) _notify(sig.__subs);
+    else keys.delete(key); // nobody reads this key anymore
+  };
+
+  createEffect(() => {
+    const value = source();
+    untrack(() => {
+      if (initialized) {
+        if (byIdentity) {
+          // only the previous and the new key can have changed
+          notifyKey(prev, keys.get(prev));
+          notifyKey(value, keys.get(value));
+        } else {
+          keys.forEach((sig, key) => {
+            if (matches(key, prev) !== matches(key, value)) notifyKey(key, sig);
+          });
+        }
+      }
+      initialized = true;
+      prev = value;
+    });
+  });
+
+  return function isSelected(key) {
+    const active = EFFECT_STACK[EFFECT_STACK.length - 1];
+    if (active) {
+      let sig = keys.get(key);
+      if (!sig) {
+        sig = { __subs: new Set() };
+        keys.set(key, sig);
+      }
+      const subscribed = sig.__subs.has(active);
+      _trackDependency(active, sig);
+      // forget the key once its last reader re-runs or is disposed
+      if (!subscribed && CURRENT_OWNER) {
+        const reader = active;
+        onCleanup(() => {
+          sig.__subs.delete(reader);
+          if (!sig.__subs.size && keys.get(key) === sig) keys.delete(key);
+        });
+      }
+    }
+    return matches(key, untrack(source));
+  };
+}
+
+/**
+ * catchError(fn, handler)
+ * - runs fn inside an error boundary: errors thrown by fn and by effects, computeds,
+ *   subscribers and cleanups created inside it (at any depth, also later re-runs and
+ *   rejected async effects) go to handler(error, { type, name }) instead of the console
+ * - a handler that throws passes its error to the next boundary up
+ * - returns whatever fn returns (undefined if it threw)
+ *
+ * const [failure, setFailure] = createSignal(null);
+ * catchError(() => renderDashboard(), (err) => setFailure(err));
+ */
+export function catchError(fn, handler) {
+  if (typeof fn !== 'function') throw new Error('catchError: fn must be a function');
+  if (typeof handler !== 'function') throw new Error('catchError: handler must be a function');
+  const boundary = _createOwner();
+  boundary.onError = handler;
+  try {
+    return _runWithOwner(boundary, fn);
+  } catch (err) {
+    _handleError(err, boundary, 'catchError', fn.name || 'catchError', 'catchError: unhandled error');
+    return undefined;
+  }
+}
+
+/**
+ * onReactiveError(fn)
+ * - fn(error, { type, name, handled }) for every error raised inside the reactive system
+ *   (type: 'effect' | 'computed' | 'subscriber' | 'cleanup' | 'catchError')
+ * - returns an unsubscribe function
+ *
+ * onReactiveError((err, info) => reporter.capture(err, { tags: info }));
+ */
+export function onReactiveError(fn) {
+  if (typeof fn !== 'function') throw new Error('onReactiveError: fn must be a function');
+  ERROR_LISTENERS.add(fn);
+  return () => ERROR_LISTENERS.delete(fn);
+}
+
+/**
+ * setDebug(enabled = true)
+ * - turns on warnings for effects that loop or write to signals they read,
+ *   and adds the effect name to errors thrown by subscribers
+ * - returns the previous setting
+ */
+export function setDebug(enabled = true) {
+  const prev = DEBUG;
+  DEBUG = !!enabled;
+  return prev;
+}
+
+/**
+ * Internal helper: effect disposer / computed getter -> the runner registered on its sources.
+ */
+function _runnerOf(node) {
+  if (!node) return null;
+  return node.__runner || node;
+}
+
+/**
+ * Internal helper: public description of a node in the graph.
+ */
+function _describe(node) {
+  if (node.__getter) node = node.__getter; // computed runner -> its getter
+  let type = 'subscriber';
+  if (node.__refresh) type = 'computed';
+  else if (node.__target) type = 'state';
+  else if (typeof node.__runs === 'number') type = 'effect';
+  else if (node.__subs && typeof node.peek === 'function') type = 'signal';
+  const info = { name: _nameOf(node), type, node };
+  if (typeof node.__runs === 'number') info.runs = node.__runs;
+  return info;
+}
+
+/**
+ * getDependencies(effectOrComputed)
+ * - effectOrComputed: the disposer returned by createEffect, or a computed getter
+ * - returns [{ name, type: 'signal' | 'computed' | 'state', node }] read during its last run
+ */
+export function getDependencies(node) {
+  const deps = EFFECT_DEPS.get(_runnerOf(node));
+  return deps ? Array.from(deps.keys()).map(_describe) : [];
+}
+
+/**
+ * getObservers(signal) / getObservers(state, 'prop')
+ * - signal: signal or computed getter; for $state pass the (nested) proxy and a property name
+ * - returns [{ name, type: 'effect' | 'computed' | 'subscriber', node, runs }] that depend on it
+ */
+export function getObservers(node, prop) {
+  let key = node;
+  if (prop !== undefined) {
+    const map = STATE_PROP_SIGNALS.get(toRaw(node));
+    key = map && map.get(prop);
+  }
+  return key && key.__subs ? Array.from(key.__subs).map(_describe) : [];
+}
+
+/**
+ * getRunCount(effectOrComputed) -> number of times it has run (or recomputed)
+ */
+export function getRunCount(node) {
+  const runner = _runnerOf(node);
+  if (!runner) return 0;
+  return (runner.__getter || runner).__runs || 0;
+}
+
+/**
+ * shallowEqual(a, b)
+ * - true when a and b are identical, or arrays/plain objects with identical (===) entries
+ * - Dates compare by time, Maps and Sets by identical entries; other objects only by identity
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [k, v] of a) {
+      if (!b.has(k) || !Object.is(v, b.get(k))) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    for (const v of a) {
+      if (!b.has(v)) return false;
+    }
+    return true;
+  }
+  const proto = Object.getPrototypeOf(a);
+  if (!Array.isArray(a) && proto !== Object.prototype && proto !== null) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((k) => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+/**
+ * deepEqual(a, b)
+ * - structural comparison of primitives, arrays, plain objects, Date, RegExp, Map and Set
+ * - handles circular references
+ */
+export function deepEqual(a, b, _seen = new WeakMap()) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // a pair already being compared higher up the tree: assume equal to break the cycle
+  if (_seen.get(a) === b) return true;
+  _seen.set(a, b);
+
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof RegExp) return String(a) === String(b);
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [k, v] of a) {
+      if (!b.has(k) || !deepEqual(v, b.get(k), _seen)) return false;
+    }
+    return true;
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    // members of b not yet paired with a member of a (identical members pair directly);
+    // trial comparisons get their own cycle map so a failed pairing is not remembered as equal
+    const unmatched = Array.from(b).filter((v) => !a.has(v));
+    for (const v of a) {
+      if (b.has(v)) continue;
+      const i = unmatched.findIndex((w) => deepEqual(v, w));
+      if (i === -1) return false;
+      unmatched.splice(i, 1);
+    }
+    return true;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k], _seen));
+}
+
+/**
+ * Internal helper: turn an `equals` option into a comparator.
+ * undefined -> ===, false -> never equal (always notify), function -> used as is.
+ */
+function _resolveEquals(equals) {
+  if (equals === false) return () => false;
+  if (typeof equals === 'function') return equals;
+  return (a, b) => a === b;
 }
 
 /**
- * createSignal(initial)
+ * createSignal(initial, { equals, name })
  * returns [get, set, subscribe]
+ * - equals: false to notify on every set, or (prev, next) => boolean to decide when to skip
+ * - name: label used by debug warnings and getDependencies/getObservers
  */
-export function createSignal(initial) {
+export function createSignal(initial, options = {}) {
+  const isEqual = _resolveEquals(options.equals);
   let value = initial;
   const subs = new Set(); // user subscribers and effect runners will be stored here
 
@@ -45,6 +726,9 @@ export function createSignal(initial) {
 
   // attach __subs so tracking code can use it
   get.__subs = subs;
+  get.__name = options.name || `signal#${++NODE_ID}`;
+  // read without subscribing the active effect
+  get.peek = () => value;
 
   function set(newVal) {
     const old = value;
@@ -53,128 +737,236 @@ export function createSignal(initial) {
     } else {
       value = newVal;
     }
-    if (old === value) return value;
+    if (isEqual(old, value)) return value;
 
-    // notify subscribers (copy to avoid mutation during iteration)
-    const arr = Array.from(subs);
-    arr.forEach((fn) => {
-      try { fn(); } catch (err) { setTimeout(() => { throw err; }); }
-    });
+    if (DEBUG) _warnSelfWrite(get);
+    _notify(subs);
     return value;
   }
 
   function subscribe(fn) {
     if (typeof fn !== 'function') return () => {};
-    subs.add(fn);
-    return () => subs.delete(fn);
+    // own runner per call: the caller's function is not mutated, so it can subscribe to
+    // several signals, each reporting errors to the boundary around its subscribe() call
+    const runner = () => fn();
+    runner.__name = fn.__name || fn.name || 'anonymous';
+    runner.__owner = CURRENT_OWNER;
+    _order(runner);
+    subs.add(runner);
+    return () => subs.delete(runner);
   }
 
+  // interop (reactive/observable.js, for await): both go through subscribe()
+  get.__subscribe = subscribe;
+  get[Symbol.asyncIterator] = () => _iterate(get, subscribe);
+
   return [get, set, subscribe];
 }
 
+/**
+ * Internal helper: async iterator over a signal's values.
+ * Yields the current value first, then every change in order (changes are queued until read).
+ * Ends on return() (e.g. `break` in for await) or when the owner that created it is disposed.
+ */
+function _iterate(get, subscribe) {
+  const queue = [get.peek()];
+  let waiting = null;
+  let done = false;
+
+  const unsubscribe = subscribe(() => {
+    const value = get.peek();
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve({ value, done: false });
+    } else {
+      queue.push(value);
+    }
+  });
+
+  const finish = () => {
+    if (!done) {
+      done = true;
+      unsubscribe();
+      queue.length = 0;
+      if (waiting) waiting({ value: undefined, done: true });
+      waiting = null;
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  if (CURRENT_OWNER) onCleanup(finish);
+
+  return {
+    next() {
+      if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => { waiting = resolve; });
+    },
+    return: finish,
+    [Symbol.asyncIterator]() { return this; }
+  };
+}
+
 /**
  * createEffect(fn)
  * - runs fn immediately and whenever its dependencies change
  * - supports cleanup: if fn returns a function, it will be called before next run and on dispose
+ * - effects/computeds created inside fn are owned by this effect and disposed before each re-run
  * - returns a disposer function to stop the effect and clean up subscriptions
  */
-export function createEffect(fn) {
+export function createEffect(fn, options = {}) {
   if (typeof fn !== 'function') throw new Error('createEffect: fn must be a function');
 
   let cleanup = null;
+  const owner = _createOwner();
+
+  const fail = (err) => _handleError(err, owner, 'effect', runner.__name, `createEffect error in "${runner.__name}"`);
+  const runCleanup = () => {
+    try { if (typeof cleanup === 'function') cleanup(); } catch (err) { fail(err); }
+    cleanup = null;
+  };
 
   const runner = () => {
+    if (owner.disposed) return;
+
     // remove previous subscriptions for this runner
-    const prevDeps = EFFECT_DEPS.get(runner);
-    if (prevDeps) {
-      prevDeps.forEach((sigKey) => {
-        try { sigKey.__subs && sigKey.__subs.delete(runner); } catch (_) {}
-      });
-      EFFECT_DEPS.delete(runner);
-    }
+    _untrackAll(runner);
 
-    // execute previous cleanup
-    try { if (typeof cleanup === 'function') cleanup(); } catch (err) { console.error(err); }
-    cleanup = null;
+    // dispose children from the previous run and execute previous cleanups
+    _cleanOwner(owner);
+    runCleanup();
 
     // run effect and collect dependencies
+    runner.__runs++;
     EFFECT_STACK.push(runner);
     try {
-      const maybeCleanup = fn();
-      if (typeof maybeCleanup === 'function') cleanup = maybeCleanup;
+      const result = _runWithOwner(owner, fn);
+      if (typeof result === 'function') cleanup = result;
+      // async effects: a rejected promise is routed like a synchronous throw
+      else if (result && typeof result.then === 'function') result.then(null, fail);
     } catch (err) {
-      console.error('createEffect error', err);
+      fail(err);
     } finally {
       EFFECT_STACK.pop();
     }
   };
 
+  owner.onDispose = () => {
+    PENDING.delete(runner);
+    _untrackAll(runner);
+    runCleanup();
+  };
+
+  runner.__name = options.name || fn.name || `effect#${++NODE_ID}`;
+  runner.__runs = 0;
+  const dispose = () => _disposeOwner(owner);
+  dispose.__runner = runner; // lets getDependencies/getRunCount accept the disposer
+
   // initial run
+  _order(runner);
   runner();
 
   // return disposer
-  return () => {
-    const deps = EFFECT_DEPS.get(runner);
-    if (deps) {
-      deps.forEach((sigKey) => {
-        try { sigKey.__subs && sigKey.__subs.delete(runner); } catch (_) {}
-      });
-      EFFECT_DEPS.delete(runner);
-    }
-    try { if (typeof cleanup === 'function') cleanup(); } catch (err) { console.error(err); }
-    cleanup = null;
-  };
+  return dispose;
 }
 
 /**
  * createComputed(fn)
  * - returns a getter function that caches the computed value
- * - when dependencies change it marks dirty; the next call recomputes
+ * - the getter is itself a signal key: effects and other computeds reading it are tracked
+ * - recomputes lazily (on the next read) after one of its dependencies changes
+ * - dependents are only re-run when the recomputed value is different (===)
  */
-export function createComputed(fn) {
+export function createComputed(fn, options = {}) {
   if (typeof fn !== 'function') throw new Error('createComputed: fn must be a function');
 
   let cached;
-  let dirty = true;
+  let state = 'dirty'; // 'clean' | 'check' (a computed dependency may have changed) | 'dirty'
+  let computing = false;
   let cleanup = null;
+  const owner = _createOwner();
+
+  // registered on the sources instead of being run: only flags this computed as stale
+  const invalidate = () => {};
+  invalidate.__computed = (next) => {
+    if (state === 'dirty' || state === next) return;
+    const wasClean = state === 'clean';
+    state = next;
+    // downstream only needs to check us once; they pull the new value when they run
+    if (wasClean) Array.from(getter.__subs).forEach((runner) => _mark(runner, 'check'));
+  };
+
+  const fail = (err) => _handleError(err, owner, 'computed', getter.__name, `createComputed error in "${getter.__name}"`);
 
   const recompute = () => {
-    // remove prev deps
-    const prevDeps = EFFECT_DEPS.get(recompute);
-    if (prevDeps) {
-      prevDeps.forEach((sigKey) => {
-        try { sigKey.__subs && sigKey.__subs.delete(recompute); } catch (_) {}
-      });
-      EFFECT_DEPS.delete(recompute);
-    }
-    try { if (typeof cleanup === 'function') cleanup(); } catch (_) {}
+    _untrackAll(invalidate);
+    _cleanOwner(owner);
+    try { if (typeof cleanup === 'function') cleanup(); } catch (err) { fail(err); }
     cleanup = null;
 
-    EFFECT_STACK.push(recompute);
+    computing = true;
+    getter.__runs++;
+    EFFECT_STACK.push(invalidate);
     try {
-      const result = fn();
+      const result = _runWithOwner(owner, fn);
       if (typeof result === 'function') {
         // compute returned a cleanup function
         cleanup = result;
-      } else {
+      } else if (result !== cached) {
         cached = result;
+        getter.__version++;
       }
-      dirty = false;
     } catch (err) {
-      console.error('createComputed error', err);
+      // the computed keeps its previous value
+      fail(err);
     } finally {
       EFFECT_STACK.pop();
+      computing = false;
+      state = 'clean';
     }
   };
 
-  // initial compute
-  recompute();
+  // once disposed the computed keeps its last value and stops tracking
+  owner.onDispose = () => {
+    _untrackAll(invalidate);
+    try { if (typeof cleanup === 'function') cleanup(); } catch (err) { fail(err); }
+    cleanup = null;
+    state = 'clean';
+  };
+
+  const refresh = () => {
+    if (state === 'clean' || owner.disposed) return;
+    if (computing) throw new Error('createComputed: circular dependency detected');
+    if (state === 'check' && !_depsChanged(invalidate)) {
+      state = 'clean';
+      return;
+    }
+    recompute();
+  };
 
   // getter
-  return () => {
-    if (dirty) recompute();
+  function getter() {
+    refresh();
+    const active = EFFECT_STACK[EFFECT_STACK.length - 1];
+    if (active) _trackDependency(active, getter);
+    return cached;
+  }
+
+  getter.__subs = new Set();
+  getter.__version = 0;
+  getter.__refresh = refresh;
+  getter.__name = options.name || fn.name || `computed#${++NODE_ID}`;
+  getter.__runs = 0;
+  getter.__runner = invalidate;
+  invalidate.__name = getter.__name;
+  invalidate.__getter = getter;
+  getter.peek = () => {
+    refresh();
     return cached;
   };
+
+  return getter;
 }
 
 /**
@@ -185,11 +977,19 @@ export function createComputed(fn) {
  * - signalKey is a plain object with a __subs Set that stores effect runners (functions).
  * - When a property is read inside an active effect, we call _trackDependency(activeRunner, signalKey).
  * - When a property is set or deleted, we notify signalKey.__subs by calling each runner.
+ * - Nested plain objects, arrays, Maps and Sets are wrapped lazily (on first read) with the same handlers;
+ *   adding/removing keys, array length and collection size are tracked through an ITERATE_KEY signal.
  * - Additionally, the returned proxy exposes a .subscribe(fn) that behaves like before:
- *   fn(key, oldVal, newVal) will be called for any property change.
+ *   fn(key, oldVal, newVal, path) will be called for any change; nested changes use a dotted key
+ *   ('user.name', 'items.2') and pass the path as an array (Map keys and Set values are kept unchanged).
  */
 
 const STATE_PROP_SIGNALS = new WeakMap(); // Map<target, Map<prop, signalKey>>
+const ITERATE_KEY = Symbol('iterate'); // key set / length / size of a target
+const RAW = Symbol('raw'); // proxy[RAW] -> underlying target
+
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+const ARRAY_SEARCHES = ['includes', 'indexOf', 'lastIndexOf'];
 
 function _ensurePropSignalFor(target, prop) {
   let map = STATE_PROP_SIGNALS.get(target);
@@ -199,56 +999,174 @@ function _ensurePropSignalFor(target, prop) {
   }
   let sig = map.get(prop);
   if (!sig) {
-    sig = { __subs: new Set() }; // subscribers (effect runners)
+    sig = { __subs: new Set(), __target: target, __prop: prop }; // subscribers (effect runners)
     map.set(prop, sig);
   }
   return sig;
 }
 
-export function $state(initial = {}) {
-  const globalSubs = new Set();
+function _trackProp(target, prop) {
+  const active = EFFECT_STACK[EFFECT_STACK.length - 1];
+  if (active) _trackDependency(active, _ensurePropSignalFor(target, prop));
+}
+
+function _notifyProp(target, prop) {
+  const map = STATE_PROP_SIGNALS.get(target);
+  const sig = map && map.get(prop);
+  if (sig) _notify(sig.__subs);
+}
+
+function _isWrappable(value) {
+  if (!value || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function _isArrayIndex(prop) {
+  return typeof prop === 'string' && String(prop >>> 0) === prop && prop !== '4294967295';
+}
+
+/**
+ * toRaw(value)
+ * - returns the plain object behind a $state proxy (or the value itself)
+ */
+export function toRaw(value) {
+  return (value && typeof value === 'object' && value[RAW]) || value;
+}
+
+function _snapshot(value, seen = new WeakMap()) {
+  const raw = toRaw(value);
+  if (!_isWrappable(raw)) return raw;
+  if (seen.has(raw)) return seen.get(raw);
+
+  if (raw instanceof Map) {
+    const copy = new Map();
+    seen.set(raw, copy);
+    raw.forEach((v, k) => copy.set(k, _snapshot(v, seen)));
+    return copy;
+  }
+  if (raw instanceof Set) {
+    const copy = new Set();
+    seen.set(raw, copy);
+    raw.forEach((v) => copy.add(_snapshot(v, seen)));
+    return copy;
+  }
+  const copy = Array.isArray(raw) ? [] : {};
+  seen.set(raw, copy);
+  Object.keys(raw).forEach((k) => { copy[k] = _snapshot(raw[k], seen); });
+  return copy;
+}
+
+export function $state(initial = {}, options = {}) {
+  const isEqual = _resolveEquals(options.equals);
+  const globalSubs = new Map(); // Map<fn, owner at subscribe time>
+  const proxies = new WeakMap(); // Map<target, { proxy, path }> for this state tree
+  const name = options.name || `state#${++NODE_ID}`;
+  const label = (entry) => () => [name].concat(entry.path.map(String)).join('.');
 
-  const notifyGlobal = (key, oldVal, newVal) => {
-    globalSubs.forEach(fn => {
-      try { fn(key, oldVal, newVal); } catch (err) { console.error(err); }
+  const notifyGlobal = (path, oldVal, newVal) => {
+    const key = path.join('.');
+    globalSubs.forEach((owner, fn) => {
+      try {
+        fn(key, oldVal, newVal, path);
+      } catch (err) {
+        _handleError(err, owner, 'subscriber', `${name}.subscribe`, `$state: error in subscriber of "${name}"`);
+      }
     });
   };
 
-  const handler = {
+  // wrap nested values lazily; the path is refreshed on every access through the parent
+  const wrap = (value, path) => {
+    if (!_isWrappable(value) || value[RAW]) return value;
+    let entry = proxies.get(value);
+    if (!entry) {
+      entry = { proxy: null, path };
+      TARGET_LABELS.set(value, label(entry));
+      const handler = (value instanceof Map || value instanceof Set)
+        ? collectionHandler(entry)
+        : objectHandler(entry, false);
+      entry.proxy = new Proxy(value, handler);
+      proxies.set(value, entry);
+    }
+    entry.path = path;
+    return entry.proxy;
+  };
+
+  const objectHandler = (entry, isRoot) => ({
     get(target, prop, receiver) {
+      if (prop === RAW) return target;
       if (prop === '__isState') return true;
-      if (prop === 'subscribe') return (fn) => { globalSubs.add(fn); return () => globalSubs.delete(fn); };
-      if (prop === 'inspect') return () => Object.assign({}, target);
+      if (isRoot && prop === 'subscribe') {
+        return (fn) => {
+          globalSubs.set(fn, CURRENT_OWNER);
+          return () => globalSubs.delete(fn);
+        };
+      }
+      if (isRoot && prop === 'inspect') return () => _snapshot(target);
 
-      // tracking: if inside an effect, register dependency on this property
-      const active = EFFECT_STACK[EFFECT_STACK.length - 1];
-      if (active && typeof prop === 'string') {
-        const sig = _ensurePropSignalFor(target, prop);
-        _trackDependency(active, sig);
+      if (Array.isArray(target)) {
+        // mutators run untracked and batched: one notification round per call
+        if (ARRAY_MUTATORS.includes(prop)) {
+          return (...args) => _group(() => untrack(() => Array.prototype[prop].apply(receiver, args)));
+        }
+        // searches also match the raw item when called with an unwrapped value
+        if (ARRAY_SEARCHES.includes(prop)) {
+          return (...args) => {
+            const res = Array.prototype[prop].apply(receiver, args);
+            if (res === -1 || res === false) return Array.prototype[prop].apply(target, args.map(toRaw));
+            return res;
+          };
+        }
       }
 
-      // normal property access
-      return Reflect.get(target, prop, receiver);
+      // tracking: if inside an effect, register dependency on this property
+      if (typeof prop === 'string') _trackProp(target, prop);
+
+      // normal property access; nested objects come back wrapped
+      const value = Reflect.get(target, prop, receiver);
+      if (typeof prop !== 'string' || !Object.prototype.hasOwnProperty.call(target, prop)) return value;
+      return wrap(value, entry.path.concat(prop));
+    },
+
+    has(target, prop) {
+      if (typeof prop === 'string') _trackProp(target, prop);
+      return Reflect.has(target, prop);
+    },
+
+    ownKeys(target) {
+      _trackProp(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+      return Reflect.ownKeys(target);
     },
 
     set(target, prop, value, receiver) {
+      value = toRaw(value);
+      const isArray = Array.isArray(target);
       const old = target[prop];
-      if (old === value) { target[prop] = value; return true; }
+      const hadKey = isArray && _isArrayIndex(prop)
+        ? Number(prop) < target.length
+        : Object.prototype.hasOwnProperty.call(target, prop);
+      const oldLength = isArray ? target.length : 0;
+      // equal by the store's comparator: keep the current (possibly tracked) value untouched
+      if (hadKey && isEqual(old, value)) return true;
+      if (DEBUG) _warnSelfWrite(_ensurePropSignalFor(target, prop));
       const result = Reflect.set(target, prop, value, receiver);
+      const lengthChanged = isArray && prop !== 'length' && target.length !== oldLength;
 
-      // notify property-specific subscribers (effect runners)
-      const map = STATE_PROP_SIGNALS.get(target);
-      if (map) {
-        const sig = map.get(prop);
-        if (sig && sig.__subs) {
-          Array.from(sig.__subs).forEach((runner) => {
-            try { runner(); } catch (err) { setTimeout(() => { throw err; }); }
-          });
+      // notify property-specific subscribers (effect runners), once per write
+      _group(() => {
+        _notifyProp(target, prop);
+        if (!hadKey) _notifyProp(target, ITERATE_KEY);
+        if (lengthChanged) _notifyProp(target, 'length');
+        if (isArray && prop === 'length') {
+          // shrinking an array drops the trailing indexes
+          for (let i = Number(value); i < oldLength; i++) _notifyProp(target, String(i));
         }
-      }
+      });
 
       // notify global subscribers
-      notifyGlobal(prop, old, value);
+      notifyGlobal(entry.path.concat(prop), old, value);
+      if (lengthChanged) notifyGlobal(entry.path.concat('length'), oldLength, target.length);
       return result;
     },
 
@@ -259,30 +1177,201 @@ export function $state(initial = {}) {
 
       if (existed) {
         // notify property-specific subscribers
+        _group(() => {
+          _notifyProp(target, prop);
+          _notifyProp(target, ITERATE_KEY);
+        });
         const map = STATE_PROP_SIGNALS.get(target);
-        if (map) {
-          const sig = map.get(prop);
-          if (sig && sig.__subs) {
-            Array.from(sig.__subs).forEach((runner) => {
-              try { runner(); } catch (err) { setTimeout(() => { throw err; }); }
-            });
-          }
-          map.delete(prop);
-        }
+        if (map) map.delete(prop);
 
         // global subscribers
-        notifyGlobal(prop, old, undefined);
+        notifyGlobal(entry.path.concat(prop), old, undefined);
       }
       return result;
     }
+  });
+
+  const collectionHandler = (entry) => {
+    let instrumented = null; // built once, on first access
+    const methods = (target) => {
+      const isMap = target instanceof Map;
+      // Map keys and Set values stay as-is in the path (the dotted key stringifies them)
+      const childPath = (key) => [...entry.path, key];
+      const iterate = (kind) => {
+        _trackProp(target, ITERATE_KEY);
+        const it = target[kind]();
+        return {
+          next() {
+            const { value, done } = it.next();
+            if (done) return { value, done };
+            if (kind === 'entries') return { value: [value[0], wrap(value[1], childPath(value[0]))], done };
+            return { value: kind === 'keys' && isMap ? value : wrap(value, childPath(value)), done };
+          },
+          [Symbol.iterator]() { return this; }
+        };
+      };
+
+      return {
+        get(key) {
+          key = toRaw(key);
+          _trackProp(target, key);
+          return wrap(target.get(key), childPath(key));
+        },
+        has(key) {
+          key = toRaw(key);
+          _trackProp(target, key);
+          return target.has(key);
+        },
+        set(key, value) {
+          key = toRaw(key);
+          value = toRaw(value);
+          const had = target.has(key);
+          const old = target.get(key);
+          if (had && isEqual(old, value)) return entry.proxy;
+          if (DEBUG) _warnSelfWrite(_ensurePropSignalFor(target, key));
+          target.set(key, value);
+          _group(() => {
+            _notifyProp(target, key);
+            if (!had) _notifyProp(target, ITERATE_KEY);
+          });
+          notifyGlobal(childPath(key), old, value);
+          return entry.proxy;
+        },
+        add(value) {
+          value = toRaw(value);
+          if (target.has(value)) return entry.proxy;
+          target.add(value);
+          _group(() => {
+            _notifyProp(target, value);
+            _notifyProp(target, ITERATE_KEY);
+          });
+          notifyGlobal(childPath(value), undefined, value);
+          return entry.proxy;
+        },
+        delete(key) {
+          key = toRaw(key);
+          if (!target.has(key)) return false;
+          const old = isMap ? target.get(key) : key;
+          target.delete(key);
+          _group(() => {
+            _notifyProp(target, key);
+            _notifyProp(target, ITERATE_KEY);
+          });
+          notifyGlobal(childPath(key), old, undefined);
+          return true;
+        },
+        clear() {
+          const removed = Array.from(target.entries());
+          target.clear();
+          _group(() => {
+            removed.forEach(([key]) => _notifyProp(target, key));
+            _notifyProp(target, ITERATE_KEY);
+          });
+          removed.forEach(([key, old]) => notifyGlobal(childPath(key), old, undefined));
+        },
+        forEach(cb, thisArg) {
+          _trackProp(target, ITERATE_KEY);
+          target.forEach((value, key) => {
+            cb.call(thisArg, wrap(value, childPath(key)), key, entry.proxy);
+          });
+        },
+        keys: () => iterate('keys'),
+        values: () => iterate('values'),
+        entries: () => iterate('entries'),
+        [Symbol.iterator]: () => iterate(isMap ? 'entries' : 'values')
+      };
+    };
+
+    return {
+      get(target, prop) {
+        if (prop === RAW) return target;
+        if (prop === '__isState') return true;
+        if (prop === 'size') {
+          _trackProp(target, ITERATE_KEY);
+          return target.size;
+        }
+        if (!instrumented) instrumented = methods(target);
+        if (Object.prototype.hasOwnProperty.call(instrumented, prop)) return instrumented[prop];
+        const value = Reflect.get(target, prop, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    };
   };
 
-  return new Proxy(Object.assign({}, initial), handler);
+  const adapter = options.persist || null;
+  if (adapter && (typeof adapter.load !== 'function' || typeof adapter.save !== 'function')) {
+    throw new Error('$state: options.persist must be an adapter such as persist(key, options)');
+  }
+  const stored = adapter ? adapter.load() : undefined;
+
+  // stored keys win over the initial ones, so fields added later still get their defaults
+  const root = Object.assign({}, initial, stored && typeof stored === 'object' ? stored : {});
+  const rootEntry = { proxy: null, path: [] };
+  rootEntry.proxy = new Proxy(root, objectHandler(rootEntry, true));
+  proxies.set(root, rootEntry);
+  TARGET_LABELS.set(root, label(rootEntry));
+
+  if (adapter) _persistState(rootEntry.proxy, root, initial, adapter, globalSubs);
+  return rootEntry.proxy;
+}
+
+/**
+ * Internal helper: save a persisted $state once per tick and apply changes from other tabs.
+ */
+function _persistState(proxy, root, initial, adapter, globalSubs) {
+  let saveQueued = false;
+  let applying = false;
+
+  globalSubs.set(() => {
+    if (applying || saveQueued) return;
+    saveQueued = true;
+    queueMicrotask(() => {
+      saveQueued = false;
+      adapter.save(_snapshot(root));
+    });
+  }, null);
+
+  if (typeof adapter.watch !== 'function') return;
+  const unwatch = adapter.watch((value) => {
+    const next = value && typeof value === 'object' ? value : initial;
+    applying = true;
+    try {
+      batch(() => {
+        Object.keys(root).forEach((key) => {
+          if (!Object.prototype.hasOwnProperty.call(next, key)) delete proxy[key];
+        });
+        Object.keys(next).forEach((key) => { proxy[key] = next[key]; });
+      });
+    } finally {
+      applying = false;
+    }
+  });
+  if (CURRENT_OWNER) onCleanup(unwatch);
 }
 
 export default {
   createSignal,
   createEffect,
   createComputed,
-  $state
+  $state,
+  batch,
+  setScheduler,
+  flushSync,
+  tick,
+  untrack,
+  on,
+  createSelector,
+  createRoot,
+  onCleanup,
+  getOwner,
+  runWithOwner,
+  shallowEqual,
+  deepEqual,
+  toRaw,
+  catchError,
+  onReactiveError,
+  setDebug,
+  getDependencies,
+  getObservers,
+  getRunCount
 };
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createSignal, createRoot } from '../src/reactive/signals.js';
+import { bindText, bindAttr, bindClass, bindStyle, bindProp } from '../src/reactive/bindings.js';
+import DOMUtilsCore from '../src/core/wrapper.js';
+
+describe('Reactive - bindings', () => {
+  let el;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"><span class="item"></span><span class="item"></span></div>';
+    el = document.getElementById('app');
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe sincronizar texto con bindText', () => {
+    const [count, setCount] = createSignal(0);
+    bindText(el, count);
+    expect(el.textContent).toBe('0');
+
+    setCount(5);
+    expect(el.textContent).toBe('5');
+  });
+
+  it('debe retornar un disposer', () => {
+    const [count, setCount] = createSignal(0);
+    const dispose = bindText(el, count);
+
+    dispose();
+    setCount(1);
+    expect(el.textContent).toBe('0');
+  });
+
+  it('debe agregar y quitar atributos con bindAttr', () => {
+    const [title, setTitle] = createSignal('hola');
+    const [disabled, setDisabled] = createSignal(true);
+    bindAttr(el, 'title', title);
+    bindAttr(el, 'aria-disabled', disabled);
+
+    expect(el.getAttribute('title')).toBe('hola');
+    expect(el.getAttribute('aria-disabled')).toBe('');
+
+    setTitle(null);
+    setDisabled(false);
+    expect(el.hasAttribute('title')).toBe(false);
+    expect(el.hasAttribute('aria-disabled')).toBe(false);
+  });
+
+  it('debe alternar clases con bindClass', () => {
+    const [active, setActive] = createSignal(false);
+    const [error, setError] = createSignal(true);
+    bindClass(el, 'active', active);
+    bindClass(el, { 'has-error': error });
+
+    expect(el.classList.contains('active')).toBe(false);
+    expect(el.classList.contains('has-error')).toBe(true);
+
+    setActive(true);
+    setError(false);
+    expect(el.classList.contains('active')).toBe(true);
+    expect(el.classList.contains('has-error')).toBe(false);
+  });
+
+  it('debe aplicar estilos con bindStyle', () => {
+    const [width, setWidth] = createSignal(10);
+    bindStyle(el, { width: () => `${width()}px`, '--accent': 'red' });
+
+    expect(el.style.width).toBe('10px');
+    expect(el.style.getPropertyValue('--accent')).toBe('red');
+
+    setWidth(20);
+    expect(el.style.width).toBe('20px');
+  });
+
+  it('debe asignar propiedades con bindProp', () => {
+    const input = document.createElement('input');
+    const [value, setValue] = createSignal('a');
+    bindProp(input, 'value', value);
+    expect(input.value).toBe('a');
+
+    setValue('b');
+    expect(input.value).toBe('b');
+  });
+
+  it('debe aceptar un wrapper con varios elementos', () => {
+    const [label, setLabel] = createSignal('x');
+    bindText(new DOMUtilsCore('.item'), label);
+    setLabel('y');
+
+    expect(Array.from(el.querySelectorAll('.item')).map((n) => n.textContent)).toEqual(['y', 'y']);
+  });
+
+  it('debe disponerse con su root', () => {
+    const [count, setCount] = createSignal(0);
+    const dispose = createRoot((dispose) => {
+      bindText(el, count);
+      return dispose;
+    });
+
+    dispose();
+    setCount(3);
+    expect(el.textContent).toBe('0');
+  });
+});
+
+describe('DOMUtilsCore - bindings encadenables', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<p id="count"></p><button class="btn">Go</button>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe enlazar texto, atributos, propiedades y clases', () => {
+    const [count, setCount] = createSignal(1);
+    const [busy, setBusy] = createSignal(false);
+
+    new DOMUtilsCore('#count').text(count).attr('data-count', count);
+    new DOMUtilsCore('.btn').prop('disabled', busy).toggleClass('busy', busy).css('opacity', () => (busy() ? '0.5' : '1'));
+
+    setCount(2);
+    setBusy(true);
+
+    const p = document.getElementById('count');
+    const btn = document.querySelector('.btn');
+    expect(p.textContent).toBe('2');
+    expect(p.getAttribute('data-count')).toBe('2');
+    expect(btn.disabled).toBe(true);
+    expect(btn.classList.contains('busy')).toBe(true);
+    expect(btn.style.opacity).toBe('0.5');
+  });
+
+  it('debe leer del primer elemento sin argumentos', () => {
+    const $p = new DOMUtilsCore('#count').text('hola').attr('title', 't');
+    expect($p.text()).toBe('hola');
+    expect($p.attr('title')).toBe('t');
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRoot, createEffect } from '../src/reactive/signals.js';
+import {
+  mediaQuery,
+  prefersReducedMotion,
+  prefersColorScheme,
+  windowSize,
+  scrollPosition,
+  elementSize,
+  isVisible,
+  online,
+  documentVisible
+} from '../src/reactive/browser.js';
+
+function mockMatchMedia(initial = {}) {
+  const lists = {};
+  window.matchMedia = vi.fn((query) => {
+    if (!lists[query]) {
+      const mql = new EventTarget();
+      mql.media = query;
+      mql.matches = !!initial[query];
+      lists[query] = mql;
+    }
+    return lists[query];
+  });
+  return (query, matches) => {
+    lists[query].matches = matches;
+    lists[query].dispatchEvent(new Event('change'));
+  };
+}
+
+function mockObserver(name) {
+  const instances = [];
+  class FakeObserver {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      this.disconnected = false;
+      instances.push(this);
+    }
+    observe(el) { this.targets.add(el); }
+    unobserve(el) { this.targets.delete(el); }
+    disconnect() { this.disconnected = true; this.targets.clear(); }
+    fire(entries) { this.callback(entries, this); }
+  }
+  vi.stubGlobal(name, FakeObserver);
+  return instances;
+}
+
+describe('Reactive - browser state', () => {
+  let originalMatchMedia;
+
+  beforeEach(() => {
+    originalMatchMedia = window.matchMedia;
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('debe seguir el estado de mediaQuery', () => {
+    const change = mockMatchMedia({ '(max-width: 600px)': true });
+    const isMobile = mediaQuery('(max-width: 600px)');
+    const seen = [];
+    createEffect(() => seen.push(isMobile()));
+
+    change('(max-width: 600px)', false);
+    expect(isMobile()).toBe(false);
+    expect(seen).toEqual([true, false]);
+  });
+
+  it('debe exponer prefersReducedMotion y prefersColorScheme', () => {
+    const change = mockMatchMedia({ '(prefers-reduced-motion: reduce)': true });
+    const reduced = prefersReducedMotion();
+    const scheme = prefersColorScheme();
+
+    expect(reduced()).toBe(true);
+    expect(scheme()).toBe('light');
+    change('(prefers-color-scheme: dark)', true);
+    expect(scheme()).toBe('dark');
+  });
+
+  it('debe devolver false si matchMedia no existe', () => {
+    window.matchMedia = undefined;
+    expect(mediaQuery('(min-width: 1px)')()).toBe(false);
+  });
+
+  it('debe dejar de escuchar al eliminar el owner', () => {
+    const change = mockMatchMedia();
+    const query = '(orientation: portrait)';
+    let matches;
+    const dispose = createRoot((dispose) => {
+      matches = mediaQuery(query);
+      return dispose;
+    });
+
+    dispose();
+    change(query, true);
+    expect(matches()).toBe(false);
+  });
+
+  it('debe actualizar windowSize al redimensionar', () => {
+    const size = windowSize();
+    const runs = vi.fn();
+    createEffect(() => runs(size()));
+
+    window.innerWidth = 320;
+    window.dispatchEvent(new Event('resize'));
+    expect(size().width).toBe(320);
+    expect(runs).toHaveBeenCalledTimes(2);
+
+    // same size: no notification
+    window.dispatchEvent(new Event('resize'));
+    expect(runs).toHaveBeenCalledTimes(2);
+  });
+
+  it('debe seguir scrollPosition de un elemento', () => {
+    const box = document.createElement('div');
+    box.id = 'box';
+    document.body.appendChild(box);
+    const position = scrollPosition('#box');
+
+    box.scrollTop = 40;
+    box.dispatchEvent(new Event('scroll'));
+    expect(position()).toEqual({ x: 0, y: 40 });
+    expect(() => scrollPosition('#missing')).toThrow('scrollPosition: target not found');
+  });
+
+  it('debe actualizar elementSize con onResize y desconectar con el owner', () => {
+    const observers = mockObserver('ResizeObserver');
+    const el = document.createElement('div');
+    // border box: content 180x30 plus padding/border
+    let box = { width: 200, height: 50 };
+    el.getBoundingClientRect = () => box;
+    let size;
+    const dispose = createRoot((dispose) => {
+      size = elementSize(el);
+      return dispose;
+    });
+
+    expect(size()).toEqual({ width: 200, height: 50 });
+    const runs = vi.fn();
+    createRoot(() => createEffect(() => runs(size())));
+    observers[0].fire([{ contentRect: { width: 180, height: 30 } }]);
+    expect(size()).toEqual({ width: 200, height: 50 });
+    expect(runs).toHaveBeenCalledTimes(1);
+
+    box = { width: 220, height: 50 };
+    observers[0].fire([{ contentRect: { width: 200, height: 30 } }]);
+    expect(size()).toEqual({ width: 220, height: 50 });
+
+    dispose();
+    expect(observers[0].disconnected).toBe(true);
+  });
+
+  it('debe seguir isVisible al entrar y salir del viewport', () => {
+    const observers = mockObserver('IntersectionObserver');
+    const el = document.createElement('div');
+    const visible = isVisible(el, { threshold: 0.5 });
+
+    expect(visible()).toBe(false);
+    expect(observers[0].options).toEqual({ threshold: 0.5 });
+    observers[0].fire([{ isIntersecting: true }]);
+    expect(visible()).toBe(true);
+    observers[0].fire([{ isIntersecting: false }]);
+    expect(visible()).toBe(false);
+  });
+
+  it('debe seguir online y documentVisible', () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+    const visibility = vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('visible');
+    const connected = online();
+    const tabVisible = documentVisible();
+
+    onLine.mockReturnValue(false);
+    window.dispatchEvent(new Event('offline'));
+    visibility.mockReturnValue('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+
+    expect(connected()).toBe(false);
+    expect(tabVisible()).toBe(false);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignal, createEffect, createRoot, getOwner } from '../src/reactive/signals.js';
+import { defineComponent, onMount, onDestroy, getComponent } from '../src/reactive/component.js';
+import { on, off, once } from '../src/core/events.js';
+import { html } from '../src/reactive/html.js';
+
+describe('Reactive - defineComponent', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app" data-step="5" data-open="false"><button>+</button><output></output></div>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('debe montar con props de defaults, data-* y mount()', () => {
+    let received;
+    const Counter = defineComponent({
+      name: 'Counter',
+      props: { start: 0, step: 1, open: true, label: 'x' },
+      setup(props) { received = { ...props.inspect() }; }
+    });
+
+    const instance = Counter.mount('#app', { start: 3 });
+    expect(received).toEqual({ start: 3, step: 5, open: false, label: 'x' });
+    expect(instance.mounted).toBe(true);
+    expect(getComponent('#app')).toBe(instance);
+  });
+
+  it('debe reaccionar a setProps', () => {
+    const Label = defineComponent({
+      props: { text: 'a' },
+      setup(props, { el }) {
+        createEffect(() => { el.querySelector('output').textContent = props.text; });
+      }
+    });
+
+    const instance = Label.mount(document.getElementById('app'));
+    instance.setProps({ text: 'b' });
+    expect(document.querySelector('output').textContent).toBe('b');
+  });
+
+  it('debe eliminar effects y listeners de core/events al desmontar', () => {
+    const [count, setCount] = createSignal(0);
+    const runs = vi.fn();
+    const clicks = vi.fn();
+    const Widget = defineComponent({
+      setup(props, { el }) {
+        createEffect(() => runs(count()));
+        on(el.querySelector('button'), 'click', clicks);
+      }
+    });
+
+    const instance = Widget.mount('#app');
+    instance.unmount();
+    setCount(1);
+    document.querySelector('button').click();
+
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(clicks).not.toHaveBeenCalled();
+    expect(getComponent('#app')).toBeNull();
+  });
+
+  it('debe ejecutar onMount y onDestroy', () => {
+    const log = [];
+    const Widget = defineComponent({
+      setup(props, { el, onMount: mountHook }) {
+        onMount(() => {
+          log.push(`mount:${el.isConnected}`);
+          return () => log.push('mount cleanup');
+        });
+        mountHook(() => log.push('context mount'));
+        onDestroy(() => log.push('destroy'));
+        log.push('setup');
+      }
+    });
+
+    const instance = Widget.mount('#app');
+    expect(log).toEqual(['setup', 'mount:true', 'context mount']);
+    instance.unmount();
+    instance.unmount();
+    expect(log).toEqual(['setup', 'mount:true', 'context mount', 'destroy', 'mount cleanup']);
+    expect(() => onMount(() => {})).toThrow('onMount: must be called inside a component setup()');
+  });
+
+  it('no debe suscribir al effect padre a lecturas en onMount', () => {
+    const [s, setS] = createSignal(0);
+    const mounts = vi.fn();
+    const Widget = defineComponent({
+      setup() { onMount(() => mounts(s())); }
+    });
+
+    createEffect(() => { Widget.mount('#app'); });
+    setS(1);
+    expect(mounts).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe enviar errores de onMount a onError y seguir con los demás hooks', () => {
+    const onError = vi.fn();
+    const after = vi.fn();
+    const Widget = defineComponent({
+      onError,
+      setup() {
+        onMount(() => { throw new Error('mount hook'); });
+        onMount(after);
+      }
+    });
+
+    const instance = Widget.mount('#app');
+    expect(onError.mock.calls[0][0].message).toBe('mount hook');
+    expect(after).toHaveBeenCalledTimes(1);
+    expect(instance.mounted).toBe(true);
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const Plain = defineComponent({
+      setup() {
+        onMount(() => { throw new Error('logged'); });
+        onMount(after);
+      }
+    });
+    expect(() => Plain.mount('#app')).not.toThrow();
+    expect(error.mock.calls[0][0]).toBe('Component: error in onMount');
+    expect(after).toHaveBeenCalledTimes(2);
+  });
+
+  it('debe emitir eventos en el elemento', () => {
+    const listener = vi.fn();
+    document.getElementById('app').addEventListener('change', listener);
+    const Widget = defineComponent({
+      setup(props, { emit }) { emit('change', { value: 1 }); }
+    });
+
+    Widget.mount('#app');
+    expect(listener.mock.calls[0][0].detail).toEqual({ value: 1 });
+  });
+
+  it('debe renderizar el contenido devuelto y exponer objetos', () => {
+    const [name] = createSignal('Ana');
+    const Greeting = defineComponent({
+      setup: () => html`<p>Hello ${name}</p>`
+    });
+    const Api = defineComponent({
+      setup: () => ({ ping: () => 'pong' })
+    });
+
+    const instance = Greeting.mount('#app');
+    expect(document.getElementById('app').innerHTML).toBe('<p>Hello <!--dh:0-->Ana</p>');
+    instance.unmount();
+    expect(document.getElementById('app').innerHTML).toBe('');
+
+    expect(Api.mount('#app').exposed.ping()).toBe('pong');
+  });
+
+  it('debe desmontar el componente anterior y al eliminar el owner', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const destroyed = vi.fn();
+    const Widget = defineComponent({ setup() { onDestroy(destroyed); } });
+
+    Widget.mount('#app');
+    const dispose = createRoot((dispose) => {
+      Widget.mount('#app');
+      return dispose;
+    });
+    expect(destroyed).toHaveBeenCalledTimes(1);
+    dispose();
+    expect(destroyed).toHaveBeenCalledTimes(2);
+  });
+
+  it('debe enviar errores a onError y validar opciones', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onError = vi.fn();
+    const [count, setCount] = createSignal(0);
+    const Broken = defineComponent({
+      onError,
+      setup() {
+        createEffect(() => { if (count() > 0) throw new Error('effect'); });
+      }
+    });
+
+    Broken.mount('#app');
+    setCount(1);
+    expect(onError.mock.calls[0][0].message).toBe('effect');
+
+    const Throws = defineComponent({ setup() { throw new Error('setup'); } });
+    expect(() => Throws.mount('#app')).toThrow('setup');
+    expect(() => defineComponent({})).toThrow('defineComponent: setup must be a function');
+    expect(() => Broken.mount('#missing')).toThrow('Component: mount target not found');
+  });
+});
+
+describe('Events - owner cleanup', () => {
+  it('debe quitar listeners añadidos dentro de un effect al re-ejecutarse', () => {
+    const button = document.createElement('button');
+    const [enabled, setEnabled] = createSignal(true);
+    const handler = vi.fn();
+
+    createEffect(() => {
+      if (enabled()) on(button, 'click', handler);
+    });
+    setEnabled(false);
+    button.click();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('no debe acumular cleanups en el owner al quitar listeners', () => {
+    const button = document.createElement('button');
+    const handler = vi.fn();
+    const kept = vi.fn();
+
+    const { owner, dispose } = createRoot((dispose) => {
+      for (let i = 0; i < 100; i++) {
+        on(button, 'click', handler);
+        off(button, 'click', handler);
+        once(button, 'click', handler);
+        button.click();
+      }
+      on(button, 'click', kept);
+      return { owner: getOwner(), dispose };
+    });
+
+    expect(owner.cleanups.length).toBe(1);
+    dispose();
+    button.click();
+    expect(handler).toHaveBeenCalledTimes(100);
+    expect(kept).not.toHaveBeenCalled();
+  });
+});
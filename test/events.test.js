@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { on, off, once, delegate, trigger } from '../src/core/events.js';
+import DOMUtilsCore from '../src/core/wrapper.js';
 
 describe('Events - on/off', () => {
   let element;
@@ -220,6 +221,207 @@ describe('Events - delegate', () => {
   });
 });
 
+describe('Events - namespaces, selector y AbortSignal', () => {
+  let root;
+  let btn;
+  let link;
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="root"><button class="btn">B</button><a class="link">L</a></div>`;
+    root = document.getElementById('root');
+    btn = root.querySelector('.btn');
+    link = root.querySelector('.link');
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe eliminar listeners por namespace', () => {
+    const menu = vi.fn();
+    const other = vi.fn();
+    on(btn, 'click.menu mousedown.menu', menu);
+    on(btn, 'click.ui.menu', menu);
+    on(btn, 'click', other);
+
+    off(btn, 'click.ui');
+    btn.click();
+    expect(menu).toHaveBeenCalledTimes(1);
+
+    off(btn, '.menu');
+    btn.click();
+    btn.dispatchEvent(new MouseEvent('mousedown'));
+    expect(menu).toHaveBeenCalledTimes(1);
+    expect(other).toHaveBeenCalledTimes(2);
+  });
+
+  it('debe eliminar delegados solo para el selector indicado', () => {
+    const handler = vi.fn();
+    delegate(root, '.btn', 'click', handler);
+    delegate(root, '.link', 'click', handler);
+
+    off(root, 'click', '.btn', handler);
+    btn.click();
+    link.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1]).toBe(link);
+  });
+
+  it('debe respetar el selector en DOMUtilsCore.off', () => {
+    const handler = vi.fn();
+    const $root = new DOMUtilsCore(root);
+    $root.on('click.nav', '.btn', handler).on('click.nav', '.link', handler);
+
+    $root.off('click', '.link', handler);
+    link.click();
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    $root.off('.nav');
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe eliminar listeners al abortar options.signal', () => {
+    const controller = new AbortController();
+    const handler = vi.fn();
+    on(btn, 'click', handler, { signal: controller.signal });
+    delegate(root, '.link', 'click', handler, { signal: controller.signal });
+    new DOMUtilsCore(btn).on('mousedown', handler, { signal: controller.signal });
+
+    controller.abort();
+    btn.click();
+    link.click();
+    btn.dispatchEvent(new MouseEvent('mousedown'));
+    expect(handler).not.toHaveBeenCalled();
+
+    on(btn, 'click', handler, { signal: controller.signal });
+    btn.click();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('debe registrar el handler original como listener del DOM', () => {
+    const handler = vi.fn();
+    on(btn, 'click', handler);
+    on(btn, 'click', handler);
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    btn.removeEventListener('click', handler);
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe mantener un listener compartido al abortar otro registro', () => {
+    const controller = new AbortController();
+    const handler = vi.fn();
+    on(btn, 'click.a', handler, { signal: controller.signal });
+    on(btn, 'click.b', handler);
+
+    controller.abort();
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe quitar solo el listener propio al llamar unbind u once', () => {
+    const handler = vi.fn();
+    const unbind = on(btn, 'click', handler);
+    once(btn, 'click', handler);
+    on(btn, 'click.keep', handler);
+
+    unbind();
+    btn.click();
+    btn.click();
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Events - delegate de eventos que no burbujean', () => {
+  let root;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="root">
+        <label class="field"><input id="name"></label>
+        <div class="card"><span class="inner">x</span></div>
+        <img class="pic">
+      </div>
+    `;
+    root = document.getElementById('root');
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe delegar focus y blur', () => {
+    const input = document.getElementById('name');
+    const log = [];
+    delegate(root, '.field', 'focus blur', (e, el) => log.push(`${e.type}:${el.className}`));
+
+    input.focus();
+    input.blur();
+    expect(log).toEqual(['focusin:field', 'focusout:field']);
+
+    off(root, 'focus');
+    input.focus();
+    expect(log.length).toBe(2);
+  });
+
+  it('debe emular mouseenter y mouseleave con relatedTarget', () => {
+    const card = root.querySelector('.card');
+    const inner = root.querySelector('.inner');
+    const entered = vi.fn();
+    const left = vi.fn();
+    delegate(root, '.card', 'mouseenter', entered);
+    delegate(root, '.card', 'mouseleave', left);
+
+    const move = (type, target, relatedTarget) => target.dispatchEvent(new MouseEvent(type, { bubbles: true, relatedTarget }));
+    move('mouseover', card, root);
+    move('mouseout', card, inner);
+    move('mouseover', inner, card);
+    move('mouseout', inner, root);
+
+    expect(entered).toHaveBeenCalledTimes(1);
+    expect(entered.mock.calls[0][1]).toBe(card);
+    expect(left).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe capturar load y error', () => {
+    const handler = vi.fn();
+    delegate(root, '.pic', 'load error', handler);
+    root.querySelector('.pic').dispatchEvent(new Event('error'));
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    off(root, 'error', '.pic', handler);
+    root.querySelector('.pic').dispatchEvent(new Event('error'));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe coincidir con el propio root', () => {
+    const handler = vi.fn();
+    delegate(root, '#root', 'click', handler);
+    root.querySelector('.inner').click();
+    expect(handler.mock.calls[0][1]).toBe(root);
+
+    delegate(root, 'body', 'click', handler);
+    root.click();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('debe delegar dentro de shadow roots abiertos', () => {
+    const host = root.querySelector('.card');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<button class="btn">in shadow</button>';
+    const handler = vi.fn();
+    delegate(root, '.btn', 'click', handler);
+
+    shadow.querySelector('.btn').dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1]).toBe(shadow.querySelector('.btn'));
+  });
+});
+
 describe('Events - trigger', () => {
   let target;
 
@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { $state, createEffect } from '../src/reactive/signals.js';
+import { withHistory } from '../src/reactive/history.js';
+
+const nextTick = () => Promise.resolve();
+
+describe('Reactive - withHistory', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('debe deshacer y rehacer cambios', async () => {
+    const state = $state({ title: 'a' });
+    const history = withHistory(state);
+
+    state.title = 'b';
+    await nextTick();
+    state.title = 'c';
+
+    history.undo();
+    expect(state.title).toBe('b');
+    history.undo();
+    expect(state.title).toBe('a');
+    history.redo();
+    expect(state.title).toBe('b');
+  });
+
+  it('debe exponer canUndo y canRedo como signals', () => {
+    const state = $state({ n: 0 });
+    const history = withHistory(state);
+    const seen = [];
+    createEffect(() => seen.push([history.canUndo(), history.canRedo()]));
+
+    state.n = 1;
+    history.undo();
+
+    expect(seen).toEqual([[false, false], [true, false], [false, true]]);
+  });
+
+  it('debe agrupar los cambios del mismo tick', () => {
+    const state = $state({ items: ['a'] });
+    const history = withHistory(state);
+
+    state.items.push('b', 'c');
+    history.undo();
+
+    expect(state.inspect()).toEqual({ items: ['a'] });
+    history.redo();
+    expect(state.inspect()).toEqual({ items: ['a', 'b', 'c'] });
+  });
+
+  it('debe revertir splice y objetos anidados', async () => {
+    const state = $state({ list: ['a', 'b', 'c'], user: { name: 'John' } });
+    const history = withHistory(state);
+
+    state.list.splice(0, 1);
+    await nextTick();
+    state.user.name = 'Jane';
+    await nextTick();
+    state.user = { name: 'Eva' };
+
+    history.undo();
+    history.undo();
+    history.undo();
+
+    expect(state.inspect()).toEqual({ list: ['a', 'b', 'c'], user: { name: 'John' } });
+  });
+
+  it('debe eliminar claves nuevas al deshacer', () => {
+    const state = $state({});
+    const history = withHistory(state);
+
+    state.added = 1;
+    history.undo();
+
+    expect('added' in state).toBe(false);
+  });
+
+  it('debe soportar Map y Set', async () => {
+    const key = { id: 1 };
+    const state = $state({ users: new Map(), tags: new Set(['x']) });
+    const history = withHistory(state);
+
+    state.users.set(key, 'John');
+    state.tags.delete('x');
+    await nextTick();
+    state.tags.add('y');
+
+    history.undo();
+    expect(state.tags.has('y')).toBe(false);
+    history.undo();
+    expect(state.users.has(key)).toBe(false);
+    expect(state.tags.has('x')).toBe(true);
+
+    history.redo();
+    expect(state.users.get(key)).toBe('John');
+  });
+
+  it('debe fusionar cambios dentro del debounce', async () => {
+    vi.useFakeTimers();
+    const state = $state({ text: '' });
+    const history = withHistory(state, { debounce: 300 });
+
+    state.text = 'h';
+    await nextTick();
+    vi.advanceTimersByTime(100);
+    state.text = 'ho';
+    await nextTick();
+    vi.advanceTimersByTime(500);
+    state.text = 'hola';
+
+    history.undo();
+    expect(state.text).toBe('ho');
+    history.undo();
+    expect(state.text).toBe('');
+  });
+
+  it('debe respetar el límite', async () => {
+    const state = $state({ n: 0 });
+    const history = withHistory(state, { limit: 2 });
+
+    for (let i = 1; i <= 4; i++) {
+      state.n = i;
+      await nextTick();
+    }
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(state.n).toBe(2);
+  });
+
+  it('debe agrupar transacciones y revertirlas si fallan', async () => {
+    const state = $state({ a: 0, b: 0 });
+    const history = withHistory(state);
+
+    history.transaction(() => {
+      state.a = 1;
+      history.transaction(() => { state.b = 1; });
+    });
+    await nextTick();
+
+    expect(() => history.transaction(() => {
+      state.a = 99;
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(state.a).toBe(1);
+
+    history.undo();
+    expect(state.inspect()).toEqual({ a: 0, b: 0 });
+  });
+
+  it('debe vaciar redo al hacer un cambio nuevo', () => {
+    const state = $state({ n: 0 });
+    const history = withHistory(state);
+
+    state.n = 1;
+    history.undo();
+    state.n = 2;
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toBe(false);
+  });
+
+  it('debe restaurar snapshots como un paso deshacible', () => {
+    const state = $state({ todos: [{ text: 'a' }], filter: 'all' });
+    const history = withHistory(state);
+    const snap = history.snapshot();
+
+    state.todos.push({ text: 'b' });
+    state.extra = true;
+    history.clear();
+
+    history.restore(snap);
+    expect(state.inspect()).toEqual({ todos: [{ text: 'a' }], filter: 'all' });
+
+    state.todos[0].text = 'changed';
+    expect(snap.todos[0].text).toBe('a');
+
+    history.undo();
+    history.undo();
+    expect(state.todos.length).toBe(2);
+    expect(state.extra).toBe(true);
+  });
+
+  it('debe dejar de registrar tras dispose', () => {
+    const state = $state({ n: 0 });
+    const history = withHistory(state);
+
+    history.dispose();
+    state.n = 1;
+
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('debe exigir un $state', () => {
+    expect(() => withHistory({})).toThrow();
+  });
+});
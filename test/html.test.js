@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createSignal, createRoot, createEffect } from '../src/reactive/signals.js';
+import { html } from '../src/reactive/html.js';
+
+function mount(result) {
+  const host = document.createElement('div');
+  host.appendChild(result.fragment);
+  document.body.appendChild(host);
+  return host;
+}
+
+describe('Reactive - html', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe escapar las interpolaciones por defecto', () => {
+    const evil = '<img src=x onerror="alert(1)">';
+    const host = mount(html`<p>${evil}</p>`);
+
+    expect(host.querySelector('img')).toBeNull();
+    expect(host.querySelector('p').textContent).toBe(evil);
+  });
+
+  it('debe actualizar huecos de texto con signals', () => {
+    const [count, setCount] = createSignal(0);
+    const host = mount(html`<span>Count: ${count}</span>`);
+    const span = host.querySelector('span');
+    const textNode = Array.from(span.childNodes).find((n) => n.nodeType === 3 && n.data === '0');
+
+    setCount(5);
+    expect(span.textContent).toBe('Count: 5');
+    expect(textNode.data).toBe('5');
+  });
+
+  it('debe insertar nodos, arrays y plantillas anidadas', () => {
+    const strong = document.createElement('strong');
+    strong.textContent = 'bold';
+    const items = ['a', 'b'].map((item) => html`<li>${item}</li>`);
+    const host = mount(html`<div>${strong}<ul>${items}</ul></div>`);
+
+    expect(host.querySelector('strong')).toBe(strong);
+    expect(Array.from(host.querySelectorAll('li')).map((li) => li.textContent)).toEqual(['a', 'b']);
+  });
+
+  it('debe enlazar atributos completos y mixtos', () => {
+    const [active, setActive] = createSignal(false);
+    const [id] = createSignal('main');
+    const host = mount(html`<div id=${id} class="box ${() => (active() ? 'active' : '')}" title="x"></div>`);
+    const div = host.querySelector('div');
+
+    expect(div.id).toBe('main');
+    expect(div.className).toBe('box ');
+    expect(div.title).toBe('x');
+    expect(div.hasAttribute('data-dh')).toBe(false);
+
+    setActive(true);
+    expect(div.className).toBe('box active');
+  });
+
+  it('debe soportar @event, .prop y ?bool', () => {
+    const onClick = vi.fn();
+    const [value, setValue] = createSignal('hola');
+    const [busy, setBusy] = createSignal(true);
+    const host = mount(html`
+      <input .value=${value}>
+      <button ?disabled=${busy} @click=${onClick}>Go</button>
+    `);
+    const input = host.querySelector('input');
+    const button = host.querySelector('button');
+
+    expect(input.value).toBe('hola');
+    expect(button.disabled).toBe(true);
+
+    setValue('adiós');
+    setBusy(false);
+    button.click();
+
+    expect(input.value).toBe('adiós');
+    expect(button.disabled).toBe(false);
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe conservar mayúsculas en nombres de propiedades', () => {
+    const host = mount(html`<div .textContent=${'<b>x</b>'}></div>`);
+    expect(host.querySelector('div').textContent).toBe('<b>x</b>');
+  });
+
+  it('debe bloquear URLs javascript:', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const host = mount(html`<a href=${'javascript:alert(1)'}>x</a>`);
+
+    expect(host.querySelector('a').getAttribute('href')).toBe('about:blank');
+    warn.mockRestore();
+  });
+
+  it('debe bloquear URLs javascript: con tabs, saltos de línea y caracteres de control', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const urls = ['java\tscript:alert(1)', 'java\nscript:alert(1)', '\u0001\u0010javascript:alert(1)', ' JaVa\rScRiPt:alert(1)', 'vb\tscript:x'];
+    urls.forEach((url) => {
+      const host = mount(html`<a href=${url}>x</a>`);
+      expect(host.querySelector('a').getAttribute('href')).toBe('about:blank');
+    });
+
+    const host = mount(html`<a href=${'/docs?q=javascript:'}>x</a>`);
+    expect(host.querySelector('a').getAttribute('href')).toBe('/docs?q=javascript:');
+    warn.mockRestore();
+  });
+
+  it('debe bloquear URLs javascript: en propiedades URL', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const [url, setUrl] = createSignal('/ok');
+    const host = mount(html`<a .href=${'javascript:alert(1)'}>x</a><form .action=${url}></form>`);
+
+    expect(host.querySelector('a').getAttribute('href')).toBe('about:blank');
+    setUrl('java\tscript:alert(1)');
+    expect(host.querySelector('form').getAttribute('action')).toBe('about:blank');
+    warn.mockRestore();
+  });
+
+  it('debe rechazar manejadores inline y huecos fuera de atributos', () => {
+    expect(() => html`<button onclick=${'alert(1)'}></button>`).toThrow(/@click/);
+    expect(() => html`<div ${'hidden'}></div>`).toThrow();
+  });
+
+  it('debe reutilizar la plantilla compilada por sitio de llamada', () => {
+    const render = (text) => html`<p>${text}</p>`;
+    const a = mount(render('uno'));
+    const b = mount(render('dos'));
+
+    expect(a.textContent).toBe('uno');
+    expect(b.textContent).toBe('dos');
+  });
+
+  it('debe renderizar plantillas condicionales desde un getter', () => {
+    const [logged, setLogged] = createSignal(false);
+    const host = mount(html`<nav>${() => (logged() ? html`<b>Salir</b>` : html`<i>Entrar</i>`)}</nav>`);
+
+    expect(host.querySelector('i').textContent).toBe('Entrar');
+    setLogged(true);
+    expect(host.querySelector('i')).toBeNull();
+    expect(host.querySelector('b').textContent).toBe('Salir');
+  });
+
+  it('debe detener enlaces y eventos con dispose', () => {
+    const onClick = vi.fn();
+    const [label, setLabel] = createSignal('a');
+    const result = html`<button @click=${onClick}>${label}</button>`;
+    const host = mount(result);
+    const button = host.querySelector('button');
+
+    result.dispose();
+    setLabel('b');
+    button.click();
+
+    expect(button.textContent).toBe('a');
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('debe disponerse con su dueño', () => {
+    const [label, setLabel] = createSignal('a');
+    let host;
+    const dispose = createRoot((dispose) => {
+      host = mount(html`<p>${label}</p>`);
+      return dispose;
+    });
+
+    dispose();
+    setLabel('b');
+    expect(host.textContent).toBe('a');
+  });
+
+  it('no debe ejecutar efectos del padre al leer signals en huecos', () => {
+    const [label, setLabel] = createSignal('a');
+    let runs = 0;
+    createEffect(() => {
+      runs++;
+      html`<p>${label}</p>`;
+    });
+
+    setLabel('b');
+    expect(runs).toBe(1);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignal, createEffect, createRoot, onCleanup, $state } from '../src/reactive/signals.js';
+import { renderList } from '../src/reactive/list.js';
+
+function li(text) {
+  const el = document.createElement('li');
+  el.textContent = text;
+  return el;
+}
+
+const texts = (el) => Array.from(el.children).map((c) => c.textContent);
+
+describe('Reactive - renderList', () => {
+  let list;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<ul id="list"></ul>';
+    list = document.getElementById('list');
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe renderizar los elementos iniciales', () => {
+    const [items] = createSignal(['a', 'b', 'c']);
+    renderList(list, items, { render: (item) => li(item) });
+
+    expect(texts(list)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('debe conservar los nodos al reordenar', () => {
+    const [items, setItems] = createSignal([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    const render = vi.fn((item) => li(String(item.id)));
+    renderList(list, items, { key: (item) => item.id, render });
+
+    const nodes = Array.from(list.children);
+    const current = items();
+    setItems([current[2], current[0], current[1]]);
+
+    expect(texts(list)).toEqual(['3', '1', '2']);
+    expect(Array.from(list.children)).toEqual([nodes[2], nodes[0], nodes[1]]);
+    expect(render).toHaveBeenCalledTimes(3);
+  });
+
+  it('debe mover el mínimo de nodos', () => {
+    const [items, setItems] = createSignal([1, 2, 3, 4, 5]);
+    renderList(list, items, { render: (item) => li(String(item)) });
+
+    const insertBefore = vi.spyOn(list, 'insertBefore');
+    setItems([1, 3, 4, 5, 2]);
+
+    expect(texts(list)).toEqual(['1', '3', '4', '5', '2']);
+    expect(insertBefore).toHaveBeenCalledTimes(1);
+    insertBefore.mockRestore();
+  });
+
+  it('debe insertar y eliminar sólo lo que cambia', () => {
+    const [items, setItems] = createSignal(['a', 'b', 'c']);
+    renderList(list, items, { render: (item) => li(item) });
+
+    const [a, , c] = Array.from(list.children);
+    setItems(['a', 'x', 'c', 'd']);
+
+    expect(texts(list)).toEqual(['a', 'x', 'c', 'd']);
+    expect(list.children[0]).toBe(a);
+    expect(list.children[2]).toBe(c);
+  });
+
+  it('debe disponer los efectos de los elementos eliminados', () => {
+    const [items, setItems] = createSignal(['a', 'b']);
+    const [tick, setTick] = createSignal(0);
+    const runs = { a: 0, b: 0 };
+    const cleanups = [];
+
+    renderList(list, items, {
+      render: (item) => {
+        createEffect(() => { tick(); runs[item]++; });
+        onCleanup(() => cleanups.push(item));
+        return li(item);
+      }
+    });
+
+    setItems(['a']);
+    expect(cleanups).toEqual(['b']);
+
+    setTick(1);
+    expect(runs).toEqual({ a: 2, b: 1 });
+  });
+
+  it('debe exponer el índice como signal', () => {
+    const [items, setItems] = createSignal(['a', 'b']);
+    renderList(list, items, {
+      render: (item, index) => {
+        const el = li('');
+        createEffect(() => { el.textContent = `${index()}:${item}`; });
+        return el;
+      }
+    });
+
+    setItems(['b', 'a']);
+    expect(texts(list)).toEqual(['0:b', '1:a']);
+  });
+
+  it('debe usar update cuando cambia el valor de una clave', () => {
+    const [items, setItems] = createSignal([{ id: 1, text: 'uno' }]);
+    const render = vi.fn((item) => li(item.text));
+    const update = vi.fn((node, item) => { node.textContent = item.text; });
+    renderList(list, items, { key: (item) => item.id, render, update });
+
+    const node = list.children[0];
+    setItems([{ id: 1, text: 'one' }]);
+
+    expect(list.children[0]).toBe(node);
+    expect(node.textContent).toBe('one');
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('debe volver a renderizar sin update', () => {
+    const [items, setItems] = createSignal([{ id: 1, text: 'uno' }]);
+    renderList(list, items, { key: (item) => item.id, render: (item) => li(item.text) });
+
+    const node = list.children[0];
+    setItems([{ id: 1, text: 'one' }]);
+
+    expect(list.children[0]).not.toBe(node);
+    expect(texts(list)).toEqual(['one']);
+  });
+
+  it('debe reaccionar a mutaciones de arrays en $state', () => {
+    const state = $state({ todos: [{ id: 1, text: 'a' }] });
+    renderList(list, () => state.todos, {
+      key: (todo) => todo.id,
+      render: (todo) => {
+        const el = li('');
+        createEffect(() => { el.textContent = todo.text; });
+        return el;
+      }
+    });
+
+    const first = list.children[0];
+    state.todos.push({ id: 2, text: 'b' });
+    state.todos[0].text = 'A';
+
+    expect(texts(list)).toEqual(['A', 'b']);
+    expect(list.children[0]).toBe(first);
+
+    state.todos.splice(0, 1);
+    expect(texts(list)).toEqual(['b']);
+  });
+
+  it('debe avisar de claves duplicadas', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    renderList(list, ['a', 'a', 'b'], { render: (item) => li(item) });
+
+    expect(texts(list)).toEqual(['a', 'b']);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('debe detenerse al disponer el dueño', () => {
+    const [items, setItems] = createSignal(['a']);
+    const cleanups = [];
+    const dispose = createRoot((dispose) => {
+      renderList(list, items, {
+        render: (item) => {
+          onCleanup(() => cleanups.push(item));
+          return li(item);
+        }
+      });
+      return dispose;
+    });
+
+    dispose();
+    setItems(['a', 'b']);
+
+    expect(cleanups).toEqual(['a']);
+    expect(texts(list)).toEqual(['a']);
+  });
+
+  it('debe exigir render', () => {
+    expect(() => renderList(list, [], {})).toThrow();
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createSignal, $state } from '../src/reactive/signals.js';
+import { model } from '../src/reactive/model.js';
+
+function type(el, value, event = 'input') {
+  el.value = value;
+  el.dispatchEvent(new Event(event, { bubbles: true }));
+}
+
+describe('Reactive - model', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="form">
+        <input id="name" type="text">
+        <textarea id="bio"></textarea>
+        <input id="age" type="number">
+        <input id="birth" type="date">
+        <input id="terms" type="checkbox">
+        <input class="tag" type="checkbox" value="js">
+        <input class="tag" type="checkbox" value="css">
+        <input class="plan" type="radio" name="plan" value="free">
+        <input class="plan" type="radio" name="plan" value="pro">
+        <select id="colors" multiple>
+          <option value="red">Red</option>
+          <option value="blue">Blue</option>
+        </select>
+        <div id="editor" contenteditable="true"></div>
+      </form>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe sincronizar input de texto en ambos sentidos', () => {
+    const input = document.getElementById('name');
+    const [name, setName] = createSignal('John');
+    model(input, [name, setName]);
+
+    expect(input.value).toBe('John');
+    type(input, 'Jane');
+    expect(name()).toBe('Jane');
+
+    setName('Ana');
+    expect(input.value).toBe('Ana');
+  });
+
+  it('debe sincronizar en change con lazy', () => {
+    const bio = document.getElementById('bio');
+    const [text, setText] = createSignal('');
+    model(bio, [text, setText], { lazy: true });
+
+    type(bio, 'hola');
+    expect(text()).toBe('');
+    bio.dispatchEvent(new Event('change'));
+    expect(text()).toBe('hola');
+  });
+
+  it('debe aplicar parse sin reescribir lo que se escribe', () => {
+    const input = document.getElementById('name');
+    const [name, setName] = createSignal('');
+    model(input, [name, setName], { parse: (v) => v.trim() });
+
+    type(input, 'John ');
+    expect(name()).toBe('John');
+    expect(input.value).toBe('John ');
+  });
+
+  it('debe convertir inputs numéricos', () => {
+    const age = document.getElementById('age');
+    const [value, setValue] = createSignal(18);
+    model(age, [value, setValue]);
+
+    expect(age.value).toBe('18');
+    type(age, '30');
+    expect(value()).toBe(30);
+    type(age, '');
+    expect(value()).toBe(null);
+  });
+
+  it('debe soportar fechas como Date', () => {
+    const birth = document.getElementById('birth');
+    const [date, setDate] = createSignal(new Date(Date.UTC(2020, 0, 15)));
+    model(birth, [date, setDate]);
+
+    expect(birth.value).toBe('2020-01-15');
+    type(birth, '2021-05-02', 'change');
+    expect(date()).toBeInstanceOf(Date);
+    expect(date().toISOString().slice(0, 10)).toBe('2021-05-02');
+  });
+
+  it('debe manejar checkbox booleano', () => {
+    const terms = document.getElementById('terms');
+    const [accepted, setAccepted] = createSignal(false);
+    model(terms, [accepted, setAccepted]);
+
+    terms.click();
+    expect(accepted()).toBe(true);
+
+    setAccepted(false);
+    expect(terms.checked).toBe(false);
+  });
+
+  it('debe manejar grupo de checkboxes como array', () => {
+    const tags = document.querySelectorAll('.tag');
+    const [selected, setSelected] = createSignal(['css']);
+    model(tags, [selected, setSelected]);
+
+    expect(tags[1].checked).toBe(true);
+    tags[0].click();
+    expect(selected()).toEqual(['css', 'js']);
+    tags[1].click();
+    expect(selected()).toEqual(['js']);
+  });
+
+  it('debe manejar grupos de radio', () => {
+    const plans = document.querySelectorAll('.plan');
+    const form = $state({ plan: 'free' });
+    model(plans, [form, 'plan']);
+
+    expect(plans[0].checked).toBe(true);
+    plans[1].click();
+    expect(form.plan).toBe('pro');
+
+    form.plan = 'free';
+    expect(plans[0].checked).toBe(true);
+  });
+
+  it('debe manejar select múltiple', () => {
+    const select = document.getElementById('colors');
+    const [colors, setColors] = createSignal(['blue']);
+    model(select, [colors, setColors]);
+
+    expect(select.options[1].selected).toBe(true);
+    select.options[0].selected = true;
+    select.dispatchEvent(new Event('change'));
+    expect(colors()).toEqual(['red', 'blue']);
+  });
+
+  it('debe manejar contenteditable', () => {
+    const editor = document.getElementById('editor');
+    const [text, setText] = createSignal('inicio');
+    model(editor, [text, setText]);
+
+    expect(editor.textContent).toBe('inicio');
+    editor.textContent = 'editado';
+    editor.dispatchEvent(new Event('input'));
+    expect(text()).toBe('editado');
+  });
+
+  it('debe enlazar rutas anidadas de $state', () => {
+    const input = document.getElementById('name');
+    const state = $state({ user: { name: 'John' } });
+    model(input, [state, 'user.name']);
+
+    type(input, 'Jane');
+    expect(state.user.name).toBe('Jane');
+
+    state.user = { name: 'Eva' };
+    expect(input.value).toBe('Eva');
+  });
+
+  it('debe dejar de sincronizar tras disponer', () => {
+    const input = document.getElementById('name');
+    const [name, setName] = createSignal('a');
+    const dispose = model(input, [name, setName]);
+
+    dispose();
+    type(input, 'b');
+    setName('c');
+
+    expect(name()).toBe('c');
+    expect(input.value).toBe('b');
+  });
+
+  it('debe rechazar fuentes inválidas', () => {
+    expect(() => model(document.getElementById('name'), 'x')).toThrow();
+  });
+});
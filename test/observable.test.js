@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createSignal, createComputed, createRoot } from '../src/reactive/signals.js';
+import { fromObservable, fromAsyncIterable, toObservable } from '../src/reactive/observable.js';
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function subject() {
+  const observers = new Set();
+  return {
+    observers,
+    subscribe(observer) {
+      observers.add(observer);
+      return { unsubscribe: () => observers.delete(observer) };
+    },
+    next(value) { observers.forEach((o) => o.next(value)); },
+    error(err) { observers.forEach((o) => o.error(err)); }
+  };
+}
+
+describe('Reactive - fromObservable / toObservable', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('debe escribir los valores del observable en el signal', () => {
+    const stream = subject();
+    const value = fromObservable(stream, 0);
+
+    expect(value()).toBe(0);
+    stream.next(5);
+    expect(value()).toBe(5);
+    stream.next(() => 'fn');
+    expect(typeof value()).toBe('function');
+  });
+
+  it('debe usar Symbol.observable / @@observable y cancelar con el owner', () => {
+    const stream = subject();
+    const interop = { '@@observable': () => stream };
+    let value;
+    const dispose = createRoot((dispose) => {
+      value = fromObservable(interop, 'a');
+      return dispose;
+    });
+
+    stream.next('b');
+    expect(value()).toBe('b');
+    dispose();
+    expect(stream.observers.size).toBe(0);
+  });
+
+  it('debe registrar errores del stream y rechazar entradas inválidas', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const stream = subject();
+    fromObservable(stream);
+    stream.error(new Error('stream'));
+
+    expect(error).toHaveBeenCalledWith('fromObservable: stream error', expect.any(Error));
+    expect(() => fromObservable({})).toThrow('fromObservable: expected an object with a subscribe() method');
+  });
+
+  it('debe emitir el valor actual y cada cambio con toObservable', () => {
+    const [count, setCount] = createSignal(1);
+    const next = vi.fn();
+    const subscription = toObservable(count).subscribe(next);
+
+    setCount(2);
+    subscription.unsubscribe();
+    setCount(3);
+
+    expect(next.mock.calls).toEqual([[1], [2]]);
+    expect(subscription.closed).toBe(true);
+  });
+
+  it('debe soportar computeds y ser interoperable', () => {
+    const [count, setCount] = createSignal(1);
+    const double = createComputed(() => count() * 2);
+    const observable = toObservable(double);
+    const next = vi.fn();
+
+    const key = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+    observable[key]().subscribe({ next });
+    setCount(5);
+
+    expect(next.mock.calls).toEqual([[2], [10]]);
+    expect(observable['@@observable']()).toBe(observable);
+  });
+});
+
+describe('Reactive - fromAsyncIterable / Symbol.asyncIterator', () => {
+  it('debe leer valores de un async iterable', async () => {
+    async function* source() {
+      yield 1;
+      yield 2;
+    }
+    const value = fromAsyncIterable(source(), 0);
+    expect(value()).toBe(0);
+
+    await nextTick();
+    expect(value()).toBe(2);
+  });
+
+  it('debe cerrar el iterador al eliminar el owner', async () => {
+    const finished = vi.fn();
+    async function* source() {
+      try {
+        let n = 0;
+        while (true) {
+          yield n++;
+          await nextTick();
+        }
+      } finally {
+        finished();
+      }
+    }
+    let value;
+    const dispose = createRoot((dispose) => {
+      value = fromAsyncIterable(source(), -1);
+      return dispose;
+    });
+
+    await nextTick();
+    dispose();
+    const last = value();
+    await nextTick();
+    await nextTick();
+
+    expect(value()).toBe(last);
+    expect(finished).toHaveBeenCalled();
+  });
+
+  it('debe iterar los valores de un signal con for await', async () => {
+    const [count, setCount] = createSignal(0);
+    const seen = [];
+
+    const done = (async () => {
+      for await (const value of count) {
+        seen.push(value);
+        if (value === 3) break;
+      }
+    })();
+
+    setCount(1);
+    setCount(2);
+    await nextTick();
+    setCount(3);
+    await done;
+
+    expect(seen).toEqual([0, 1, 2, 3]);
+    setCount(4);
+    expect(count.__subs.size).toBe(0);
+  });
+
+  it('debe terminar la iteración al eliminar el owner', async () => {
+    const [count] = createSignal(0);
+    let iterator;
+    const dispose = createRoot((dispose) => {
+      iterator = count[Symbol.asyncIterator]();
+      return dispose;
+    });
+
+    expect(await iterator.next()).toEqual({ value: 0, done: false });
+    const pending = iterator.next();
+    dispose();
+    expect(await pending).toEqual({ value: undefined, done: true });
+  });
+});
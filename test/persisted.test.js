@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { $state, createEffect, createRoot } from '../src/reactive/signals.js';
+import { persist, createPersistedSignal } from '../src/reactive/persisted.js';
+
+const nextTick = () => Promise.resolve();
+
+function otherTab(key, value) {
+  const newValue = value === null ? null : JSON.stringify(value);
+  if (newValue === null) localStorage.removeItem(key);
+  else localStorage.setItem(key, newValue);
+  window.dispatchEvent(new StorageEvent('storage', { key, newValue, storageArea: localStorage }));
+}
+
+describe('Reactive - createPersistedSignal', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    vi.useRealTimers();
+  });
+
+  it('debe usar el valor inicial y guardar los cambios', () => {
+    const [theme, setTheme] = createPersistedSignal('theme', 'light');
+    expect(theme()).toBe('light');
+
+    setTheme('dark');
+    expect(JSON.parse(localStorage.getItem('theme'))).toBe('dark');
+  });
+
+  it('debe leer el valor guardado', () => {
+    localStorage.setItem('count', '5');
+    const [count] = createPersistedSignal('count', 0);
+    expect(count()).toBe(5);
+  });
+
+  it('debe conservar strings numéricos como strings', () => {
+    const [code, setCode] = createPersistedSignal('code', '');
+    setCode('123');
+
+    const [again] = createPersistedSignal('code', '');
+    expect(again()).toBe('123');
+  });
+
+  it('debe usar sessionStorage', () => {
+    const [value, setValue] = createPersistedSignal('tmp', 1, { type: 'session' });
+    setValue(2);
+
+    expect(sessionStorage.getItem('tmp')).toBe('2');
+    expect(localStorage.getItem('tmp')).toBeNull();
+    expect(value()).toBe(2);
+  });
+
+  it('debe respetar la expiración', () => {
+    vi.useFakeTimers();
+    const [, setToken] = createPersistedSignal('token', null, { ttl: 1000 });
+    setToken('abc');
+
+    const stored = JSON.parse(localStorage.getItem('token'));
+    expect(stored.value).toBe('abc');
+    expect(typeof stored.expiration).toBe('number');
+
+    expect(createPersistedSignal('token', null, { ttl: 1000 })[0]()).toBe('abc');
+    vi.advanceTimersByTime(1500);
+    expect(createPersistedSignal('token', null, { ttl: 1000 })[0]()).toBeNull();
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('debe aplicar serialize y deserialize', () => {
+    const options = {
+      serialize: (date) => date.toISOString(),
+      deserialize: (iso) => new Date(iso)
+    };
+    const [, setDate] = createPersistedSignal('date', new Date(0), options);
+    setDate(new Date(Date.UTC(2024, 0, 1)));
+
+    const [date] = createPersistedSignal('date', new Date(0), options);
+    expect(date()).toBeInstanceOf(Date);
+    expect(date().getUTCFullYear()).toBe(2024);
+  });
+
+  it('debe eliminar la clave al asignar undefined', () => {
+    const [, setValue] = createPersistedSignal('gone', 1);
+    setValue(2);
+    setValue(undefined);
+    expect(localStorage.getItem('gone')).toBeNull();
+  });
+
+  it('debe actualizarse con cambios de otra pestaña', () => {
+    const [theme] = createPersistedSignal('theme', 'light');
+    const seen = [];
+    createEffect(() => seen.push(theme()));
+
+    otherTab('theme', 'dark');
+    expect(theme()).toBe('dark');
+
+    otherTab('theme', null);
+    expect(theme()).toBe('light');
+    expect(seen).toEqual(['light', 'dark', 'light']);
+  });
+
+  it('debe dejar de sincronizar al disponer el dueño', () => {
+    let get;
+    let set;
+    const dispose = createRoot((dispose) => {
+      [get, set] = createPersistedSignal('owned', 'a');
+      return dispose;
+    });
+
+    dispose();
+    set('b');
+    otherTab('owned', 'c');
+
+    expect(localStorage.getItem('owned')).toBe(JSON.stringify('c'));
+    expect(get()).toBe('b');
+  });
+
+  it('debe exigir una clave', () => {
+    expect(() => createPersistedSignal('', 0)).toThrow();
+  });
+});
+
+describe('Reactive - $state persist', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('debe cargar el estado guardado sobre los valores iniciales', () => {
+    localStorage.setItem('prefs', JSON.stringify({ theme: 'dark' }));
+    const prefs = $state({ theme: 'light', fontSize: 14 }, { persist: persist('prefs') });
+
+    expect(prefs.theme).toBe('dark');
+    expect(prefs.fontSize).toBe(14);
+  });
+
+  it('debe guardar cambios anidados una vez por tick', async () => {
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    const state = $state({ todos: [] }, { persist: persist('todos') });
+
+    state.todos.push({ text: 'a' });
+    state.todos[0].text = 'b';
+    await nextTick();
+
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem('todos'))).toEqual({ todos: [{ text: 'b' }] });
+    setItem.mockRestore();
+  });
+
+  it('debe aplicar cambios de otra pestaña', () => {
+    const state = $state({ count: 0, extra: true }, { persist: persist('store') });
+    const seen = [];
+    createEffect(() => seen.push(state.count));
+
+    otherTab('store', { count: 3 });
+
+    expect(state.count).toBe(3);
+    expect('extra' in state).toBe(false);
+    expect(seen).toEqual([0, 3]);
+  });
+
+  it('debe rechazar adaptadores inválidos', () => {
+    expect(() => $state({}, { persist: 'key' })).toThrow();
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { $ } from '../src/index.js';
+import DOMUtilsCore from '../src/core/wrapper.js';
+
+describe('Wrapper - plugins', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<ul id="list"><li class="a">1</li><li class="b">2</li></ul>';
+  });
+
+  afterEach(() => {
+    $.plugin.list().forEach((name) => $.plugin.remove(name));
+    document.body.innerHTML = '';
+  });
+
+  it('debe registrar un método y encadenar si devuelve undefined', () => {
+    $.plugin('mark', function (value) {
+      this.each((el) => { el.dataset.mark = value; });
+    });
+    $.plugin('count', function () { return this.length; });
+
+    const wrapper = $('li');
+    expect(wrapper.mark('x')).toBe(wrapper);
+    expect(wrapper.count()).toBe(2);
+    expect(document.querySelector('.b').dataset.mark).toBe('x');
+    expect(typeof $.fn.mark).toBe('function');
+    expect(DOMUtilsCore.prototype.mark).toBe($.fn.mark);
+  });
+
+  it('debe registrar varios métodos con hooks install/uninstall', () => {
+    const install = vi.fn();
+    const uninstall = vi.fn();
+    $.plugin('sheet', {
+      methods: {
+        open() { this.attr('aria-hidden', 'false'); },
+        close() { this.attr('aria-hidden', 'true'); }
+      },
+      install,
+      uninstall
+    });
+
+    $('#list').open();
+    expect(document.getElementById('list').getAttribute('aria-hidden')).toBe('false');
+    expect(install).toHaveBeenCalledWith($);
+    expect($.plugin.has('sheet')).toBe(true);
+
+    expect($.plugin.remove('sheet')).toBe(true);
+    expect(uninstall).toHaveBeenCalledWith($);
+    expect('open' in $.fn).toBe(false);
+    expect($.plugin.remove('sheet')).toBe(false);
+  });
+
+  it('debe detectar conflictos con métodos y plugins existentes', () => {
+    $.plugin('highlight', function () {});
+
+    expect(() => $.plugin('addClass', function () {})).toThrow('conflicts with built-in method "addClass"');
+    expect(() => $.plugin('other', { methods: { highlight() {} } })).toThrow('conflicts with method "highlight" from plugin "highlight"');
+    expect(() => $.plugin('highlight', function () {})).toThrow('plugin: "highlight" is already registered');
+    expect(() => $.plugin('nodes', function () {})).toThrow('plugin: "nodes" is a reserved name');
+    expect(() => $.plugin('bad', { methods: { x: 1 } })).toThrow('plugin: "bad.x" must be a function');
+    expect(() => $.plugin('', function () {})).toThrow('plugin: name must be a non-empty string');
+  });
+
+  it('debe permitir override y restaurar el método original al quitarlo', () => {
+    const original = $.fn.addClass;
+    $.plugin('loudAddClass', {
+      methods: { addClass(name) { this.each((el) => el.classList.add(name.toUpperCase())); } }
+    }, { override: true });
+
+    $('.a').addClass('x');
+    expect(document.querySelector('.a').classList.contains('X')).toBe(true);
+
+    $.plugin.remove('loudAddClass');
+    expect($.fn.addClass).toBe(original);
+  });
+
+  it('debe registrar asignaciones a $.fn como plugins', () => {
+    $.fn.shout = function () { return this.text().toUpperCase(); };
+
+    expect($('.a').shout()).toBe('1');
+    expect($.plugin.list()).toEqual(['shout']);
+    expect(() => { $.fn.addClass = function () {}; }).toThrow('conflicts with built-in method "addClass"');
+    expect(() => { $.fn.shout = function () {}; }).toThrow('plugin: "shout" is already registered');
+    expect(() => { $.fn.value = 1; }).toThrow('plugin: $.fn.value must be a function');
+
+    delete $.fn.shout;
+    expect('shout' in $.fn).toBe(false);
+    expect(() => { delete $.fn.addClass; }).toThrow('plugin: "addClass" is not a registered plugin');
+
+    const $$ = $.scope();
+    $$.fn.local = function () { return 'local'; };
+    expect($$('li').local()).toBe('local');
+    expect($.plugin.has('local')).toBe(false);
+  });
+
+  it('debe aislar plugins en un scope y conservar la subclase en eq/find', () => {
+    const $$ = $.scope();
+    $$.plugin('scoped', function () { return 'scoped'; });
+    $.plugin('shared', function () { return 'shared'; });
+
+    expect($$('#list').find('li').scoped()).toBe('scoped');
+    expect($$('li').eq(1).shared()).toBe('shared');
+    expect('scoped' in $('li')).toBe(false);
+    expect($.scope()('li').scoped).toBeUndefined();
+    expect($$.gestures).toBe($.gestures);
+    expect($$.plugin.list()).toEqual(['scoped']);
+    expect(() => $$.plugin('again', { methods: { shared() {} } })).toThrow('conflicts with method "shared" from plugin "shared"');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createSignal, createEffect, createRoot } from '../src/reactive/signals.js';
+import { createResource } from '../src/reactive/resource.js';
+import { json } from '../src/modules/ajax.js';
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('Reactive - createResource', () => {
+  it('debe exponer loading, data y error', async () => {
+    const req = deferred();
+    const resource = createResource(() => req.promise);
+
+    expect(resource.loading()).toBe(true);
+    expect(resource.data()).toBeUndefined();
+
+    req.resolve({ id: 1 });
+    await flushPromises();
+
+    expect(resource.loading()).toBe(false);
+    expect(resource.data()).toEqual({ id: 1 });
+    expect(resource.error()).toBeUndefined();
+  });
+
+  it('debe capturar errores', async () => {
+    const resource = createResource(() => Promise.reject(new Error('boom')));
+    await resource.refetch();
+
+    expect(resource.error().message).toBe('boom');
+    expect(resource.loading()).toBe(false);
+  });
+
+  it('debe volver a consultar cuando cambia la fuente', async () => {
+    const [id, setId] = createSignal(1);
+    const fetcher = vi.fn((value) => Promise.resolve(`user-${value}`));
+    const resource = createResource(id, fetcher);
+
+    await flushPromises();
+    expect(resource.data()).toBe('user-1');
+
+    setId(2);
+    await flushPromises();
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(resource.data()).toBe('user-2');
+  });
+
+  it('debe ignorar respuestas fuera de orden y abortar la anterior', async () => {
+    const [id, setId] = createSignal(1);
+    const requests = {};
+    const signals = {};
+    const resource = createResource(id, (value, { signal }) => {
+      requests[value] = deferred();
+      signals[value] = signal;
+      return requests[value].promise;
+    });
+
+    setId(2);
+    expect(signals[1].aborted).toBe(true);
+
+    requests[2].resolve('second');
+    await flushPromises();
+    requests[1].resolve('first');
+    await flushPromises();
+
+    expect(resource.data()).toBe('second');
+  });
+
+  it('debe omitir la consulta si la fuente es null o false', () => {
+    const [id] = createSignal(null);
+    const fetcher = vi.fn(() => Promise.resolve('x'));
+    const resource = createResource(id, fetcher);
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(resource.loading()).toBe(false);
+  });
+
+  it('debe permitir refetch y mutate', async () => {
+    let count = 0;
+    const resource = createResource(() => Promise.resolve(++count), { initialValue: 0 });
+    expect(resource.data()).toBe(0);
+
+    await resource.refetch();
+    expect(resource.data()).toBe(2);
+
+    resource.mutate(10);
+    expect(resource.data()).toBe(10);
+  });
+
+  it('debe notificar a los efectos', async () => {
+    const resource = createResource(() => Promise.resolve('done'));
+    const states = [];
+
+    createEffect(() => states.push(resource.loading() ? 'loading' : resource.data()));
+    await flushPromises();
+
+    expect(states).toEqual(['loading', 'done']);
+  });
+
+  it('debe abortar al disponer el dueño', () => {
+    let signal;
+    const dispose = createRoot((dispose) => {
+      createResource(true, (_, info) => {
+        signal = info.signal;
+        return new Promise(() => {});
+      });
+      return dispose;
+    });
+
+    dispose();
+    expect(signal.aborted).toBe(true);
+  });
+});
+
+describe('AJAX - signal externo', () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('debe abortar la petición con el AbortSignal recibido', async () => {
+    globalThis.fetch = (url, opts) => new Promise((resolve, reject) => {
+      opts.signal.addEventListener('abort', () => {
+        const err = new Error('aborted');
+        err.name = 'AbortError';
+        reject(err);
+      });
+    });
+
+    const controller = new AbortController();
+    const promise = json('/api/data', { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Router from '../src/modules/router.js';
+import { createEffect } from '../src/reactive/signals.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function popTo(url, mode = 'history', state = history.state) {
+  // simulates back/forward: the URL (and history.state) already changed when the event fires
+  history.replaceState(state, '', url);
+  window.dispatchEvent(new Event(mode === 'hash' ? 'hashchange' : 'popstate'));
+}
+
+describe('Router', () => {
+  let router;
+
+  beforeEach(() => {
+    history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    if (router) router.destroy();
+    router = null;
+    vi.restoreAllMocks();
+  });
+
+  it('debe resolver la ruta inicial y exponer route() como signal', async () => {
+    history.replaceState(null, '', '/users/42?tab=posts#top');
+    router = new Router({ routes: [{ path: '/' }, { path: '/users/:id', name: 'user', meta: { auth: true } }] });
+    await router.ready;
+
+    const route = router.route();
+    expect(route.name).toBe('user');
+    expect(route.params).toEqual({ id: '42' });
+    expect(route.query).toEqual({ tab: 'posts' });
+    expect(route.hash).toBe('#top');
+    expect(route.meta).toEqual({ auth: true });
+  });
+
+  it('debe soportar params opcionales, comodines y rutas sin coincidencia', () => {
+    router = new Router({
+      routes: [
+        { path: '/users/:id/:tab?', name: 'user' },
+        { path: '/docs/*', name: 'docs' }
+      ]
+    });
+
+    expect(router.match('/users/1').params).toEqual({ id: '1' });
+    expect(router.match('/users/1/posts/').params).toEqual({ id: '1', tab: 'posts' });
+    expect(router.match('/docs/guide/intro').params).toEqual({ '*': 'guide/intro' });
+    expect(router.match('/users/a%20b').params.id).toBe('a b');
+    expect(router.match('/nothing').matched).toBeNull();
+  });
+
+  it('debe navegar, actualizar la URL y re-ejecutar effects', async () => {
+    router = new Router({ routes: [{ path: '/' }, { path: '/about', name: 'about' }] });
+    await router.ready;
+    const names = [];
+    createEffect(() => names.push(router.route() && router.route().name));
+
+    expect(await router.navigate('/about')).toBe(true);
+    expect(location.pathname).toBe('/about');
+    expect(names).toEqual([null, 'about']);
+  });
+
+  it('debe interceptar clicks en enlaces con delegate', async () => {
+    router = new Router({ routes: [{ path: '/' }, { path: '/about', name: 'about' }] });
+    await router.ready;
+    document.body.innerHTML = `
+      <a id="internal" href="/about"><span>About</span></a>
+      <a id="external" href="https://example.com/about">External</a>
+      <a id="blank" href="/about" target="_blank">New tab</a>
+    `;
+
+    // runs after the router's listener; stops jsdom from following the links
+    const prevented = [];
+    const record = (e) => {
+      prevented.push(e.defaultPrevented);
+      e.preventDefault();
+    };
+    document.addEventListener('click', record);
+
+    const click = (selector) => document.querySelector(selector).dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+    click('#external');
+    click('#blank');
+    click('#internal span');
+    document.removeEventListener('click', record);
+    await flush();
+
+    expect(prevented).toEqual([false, false, true]);
+    expect(router.route().name).toBe('about');
+  });
+
+  it('debe cancelar y redirigir con guards asíncronos', async () => {
+    const beforeEach = vi.fn(async (to) => (to.path === '/blocked' ? false : undefined));
+    router = new Router({
+      beforeEach,
+      routes: [
+        { path: '/' },
+        { path: '/blocked' },
+        { path: '/admin', beforeEnter: async () => '/login' },
+        { path: '/login', name: 'login' }
+      ]
+    });
+    await router.ready;
+
+    expect(await router.navigate('/blocked')).toBe(false);
+    expect(router.route().path).toBe('/');
+
+    expect(await router.navigate('/admin')).toBe(true);
+    expect(router.route().name).toBe('login');
+    expect(location.pathname).toBe('/login');
+  });
+
+  it('debe conservar la entrada anterior al redirigir una navegación push', async () => {
+    history.replaceState(null, '', '/home');
+    router = new Router({
+      routes: [{ path: '/home' }, { path: '/admin', beforeEnter: () => '/login' }, { path: '/login' }]
+    });
+    await router.ready;
+    const length = history.length;
+
+    await router.navigate('/admin');
+    expect(location.pathname).toBe('/login');
+    expect(history.length).toBe(length + 1);
+
+    await router.replace('/admin');
+    expect(history.length).toBe(length + 1);
+  });
+
+  it('debe ejecutar loaders y descartar navegaciones obsoletas', async () => {
+    const resolvers = {};
+    const load = vi.fn((to, { signal }) => new Promise((resolve) => {
+      resolvers[to.params.id] = resolve;
+      signal.addEventListener('abort', () => { resolvers[`${to.params.id}-aborted`] = true; });
+    }));
+    router = new Router({ routes: [{ path: '/' }, { path: '/users/:id', load }] });
+    await router.ready;
+
+    const first = router.navigate('/users/1');
+    const second = router.navigate('/users/2');
+    expect(router.pending()).toBe(true);
+
+    resolvers['2']({ name: 'Ana' });
+    resolvers['1']({ name: 'Old' });
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(resolvers['1-aborted']).toBe(true);
+    expect(router.route().data).toEqual({ name: 'Ana' });
+    expect(router.pending()).toBe(false);
+  });
+
+  it('debe informar errores de loaders con onError', async () => {
+    const onError = vi.fn();
+    router = new Router({
+      onError,
+      routes: [{ path: '/' }, { path: '/broken', load: () => Promise.reject(new Error('load')) }]
+    });
+    await router.ready;
+
+    expect(await router.navigate('/broken')).toBe(false);
+    expect(onError.mock.calls[0][0].message).toBe('load');
+    expect(router.route().path).toBe('/');
+  });
+
+  it('debe responder a popstate y restaurar el scroll', async () => {
+    router = new Router({ routes: [{ path: '/' }, { path: '/a' }] });
+    await router.ready;
+    const home = history.state;
+
+    window.scrollY = 300;
+    await router.navigate('/a');
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+
+    // back to "/", whose entry saved scrollY 300
+    popTo('/', 'history', home);
+    await flush();
+
+    expect(router.route().path).toBe('/');
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 300);
+    window.scrollY = 0;
+  });
+
+  it('debe funcionar en modo hash', async () => {
+    router = new Router({ mode: 'hash', routes: [{ path: '/' }, { path: '/items/:id', name: 'item' }] });
+    await router.ready;
+    expect(location.hash).toBe('#/');
+
+    await router.navigate('/items/7');
+    expect(location.hash).toBe('#/items/7');
+    expect(router.href('/items/8')).toBe('/#/items/8');
+
+    popTo('/#/items/9', 'hash');
+    await flush();
+    expect(router.route().params.id).toBe('9');
+  });
+
+  it('debe calcular isActive y validar opciones', async () => {
+    history.replaceState(null, '', '/users/3');
+    router = new Router({ routes: [{ path: '/users/:id' }] });
+    await router.ready;
+
+    expect(router.isActive('/users')).toBe(true);
+    expect(router.isActive('/users', true)).toBe(false);
+    expect(router.isActive('/')).toBe(false);
+    expect(() => new Router({ mode: 'memory' })).toThrow('Router: unknown mode "memory"');
+  });
+});
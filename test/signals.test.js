@@ -1,5 +1,29 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { createSignal, createEffect, createComputed, $state } from '../src/reactive/signals.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createSignal,
+  createEffect,
+  createComputed,
+  $state,
+  batch,
+  setScheduler,
+  tick,
+  untrack,
+  on,
+  createSelector,
+  createRoot,
+  onCleanup,
+  getOwner,
+  runWithOwner,
+  shallowEqual,
+  deepEqual,
+  toRaw,
+  catchError,
+  onReactiveError,
+  setDebug,
+  getDependencies,
+  getObservers,
+  getRunCount
+} from '../src/reactive/signals.js';
 
 describe('Reactive - createSignal', () => {
   it('debe inicializar con valor', () => {
@@ -222,8 +246,11 @@ describe('Reactive - createComputed', () => {
       return () => cleanups.push(val);
     });
 
+    computed();
     set(1);
+    computed();
     set(2);
+    computed();
 
     expect(cleanups).toEqual([0, 1]);
   });
@@ -246,6 +273,92 @@ describe('Reactive - createComputed', () => {
     expect(c).toBe(15);
     expect(computeCount.count).toBe(1); // Solo 1 cálculo
   });
+
+  it('debe recalcular de forma perezosa', () => {
+    const [get, set] = createSignal(1);
+    const computeCount = { count: 0 };
+
+    const computed = createComputed(() => {
+      computeCount.count++;
+      return get() * 2;
+    });
+
+    expect(computeCount.count).toBe(0);
+    set(2);
+    set(3);
+    expect(computeCount.count).toBe(0);
+    expect(computed()).toBe(6);
+    expect(computeCount.count).toBe(1);
+  });
+
+  it('debe re-ejecutar efectos que leen el computed', () => {
+    const [get, set] = createSignal(1);
+    const double = createComputed(() => get() * 2);
+    const results = [];
+
+    createEffect(() => results.push(double()));
+
+    set(2);
+    set(5);
+
+    expect(results).toEqual([2, 4, 10]);
+  });
+
+  it('debe notificar solo si el valor cambia', () => {
+    const [get, set] = createSignal(1);
+    const isEven = createComputed(() => get() % 2 === 0);
+    const results = [];
+
+    createEffect(() => results.push(isEven()));
+
+    set(3);
+    set(5);
+    set(6);
+
+    expect(results).toEqual([false, true]);
+  });
+
+  it('debe encadenar computed → computed → effect', () => {
+    const [get, set] = createSignal(1);
+    const double = createComputed(() => get() * 2);
+    const quadruple = createComputed(() => double() * 2);
+    const results = [];
+
+    createEffect(() => results.push(quadruple()));
+
+    set(2);
+    set(3);
+
+    expect(results).toEqual([4, 8, 12]);
+  });
+
+  it('debe evitar glitches en dependencias en diamante', () => {
+    const [get, set] = createSignal(1);
+    const a = createComputed(() => get() + 1);
+    const b = createComputed(() => get() * 10);
+    const seen = [];
+
+    createEffect(() => seen.push(`${a()}-${b()}`));
+
+    set(2);
+
+    expect(seen).toEqual(['2-10', '3-20']);
+  });
+
+  it('debe notificar a varios efectos del mismo computed', () => {
+    const [get, set] = createSignal(1);
+    const double = createComputed(() => get() * 2);
+    const first = [];
+    const second = [];
+
+    createEffect(() => first.push(double()));
+    createEffect(() => second.push(double()));
+
+    set(2);
+
+    expect(first).toEqual([2, 4]);
+    expect(second).toEqual([2, 4]);
+  });
 });
 
 describe('Reactive - $state', () => {
@@ -332,4 +445,897 @@ describe('Reactive - $state', () => {
     expect(state.x).toBeUndefined();
     expect(state.y).toBe(2);
   });
-});
\ No newline at end of file
+});
+
+describe('Reactive - batch', () => {
+  it('debe ejecutar el efecto una sola vez por batch', () => {
+    const [a, setA] = createSignal(1);
+    const [b, setB] = createSignal(2);
+    const [c, setC] = createSignal(3);
+    const results = [];
+
+    createEffect(() => results.push(a() + b() + c()));
+
+    batch(() => {
+      setA(10);
+      setB(20);
+      setC(30);
+    });
+
+    expect(results).toEqual([6, 60]);
+  });
+
+  it('debe evitar estados intermedios', () => {
+    const [first, setFirst] = createSignal('John');
+    const [last, setLast] = createSignal('Doe');
+    const seen = [];
+
+    createEffect(() => seen.push(`${first()} ${last()}`));
+
+    batch(() => {
+      setFirst('Jane');
+      setLast('Smith');
+    });
+
+    expect(seen).toEqual(['John Doe', 'Jane Smith']);
+  });
+
+  it('debe esperar al batch más externo', () => {
+    const [get, set] = createSignal(0);
+    const results = [];
+
+    createEffect(() => results.push(get()));
+
+    batch(() => {
+      set(1);
+      batch(() => set(2));
+      expect(results).toEqual([0]);
+      set(3);
+    });
+
+    expect(results).toEqual([0, 3]);
+  });
+
+  it('debe deduplicar suscriptores', () => {
+    const [get, set, subscribe] = createSignal(0);
+    const calls = [];
+
+    subscribe(() => calls.push(get()));
+    batch(() => {
+      set(1);
+      set(2);
+    });
+
+    expect(calls).toEqual([2]);
+  });
+
+  it('debe retornar el valor de fn', () => {
+    expect(batch(() => 42)).toBe(42);
+  });
+
+  it('debe ejecutar efectos en orden de creación', () => {
+    const [get, set] = createSignal(0);
+    const order = [];
+
+    createEffect(() => { get(); order.push('outer'); });
+    createEffect(() => { get(); order.push('inner'); });
+    order.length = 0;
+
+    set(1);
+    expect(order).toEqual(['outer', 'inner']);
+  });
+
+  it('debe agrupar $state', () => {
+    const state = $state({ x: 0, y: 0 });
+    const results = [];
+
+    createEffect(() => results.push(state.x + state.y));
+
+    batch(() => {
+      state.x = 1;
+      state.y = 2;
+    });
+
+    expect(results).toEqual([0, 3]);
+  });
+});
+
+describe('Reactive - setScheduler', () => {
+  it('debe agrupar escrituras en un microtask', async () => {
+    const prev = setScheduler('microtask');
+    try {
+      const [get, set] = createSignal(0);
+      const results = [];
+
+      createEffect(() => results.push(get()));
+
+      set(1);
+      set(2);
+      expect(results).toEqual([0]);
+
+      await tick();
+      expect(results).toEqual([0, 2]);
+    } finally {
+      setScheduler(prev);
+    }
+  });
+
+  it('debe agrupar escrituras de $state y arrays en un microtask', async () => {
+    const prev = setScheduler('microtask');
+    try {
+      const s = $state({ a: 1, b: 1, list: [] });
+      const results = [];
+
+      createEffect(() => results.push(`${s.a}${s.b}:${s.list.length}`));
+
+      s.a = 2;
+      s.b = 2;
+      s.list.push(1);
+      expect(results).toEqual(['11:0']);
+
+      await tick();
+      expect(results).toEqual(['11:0', '22:1']);
+    } finally {
+      setScheduler(prev);
+    }
+  });
+
+  it('debe rechazar modos desconocidos', () => {
+    expect(() => setScheduler('raf')).toThrow();
+  });
+});
+
+describe('Reactive - untrack / peek / on', () => {
+  it('debe leer sin suscribirse con untrack', () => {
+    const [a, setA] = createSignal(1);
+    const [b, setB] = createSignal(1);
+    const results = [];
+
+    createEffect(() => results.push(a() + untrack(() => b())));
+
+    setB(5);
+    expect(results).toEqual([2]);
+
+    setA(2);
+    expect(results).toEqual([2, 7]);
+  });
+
+  it('debe retornar el valor de untrack', () => {
+    const [get] = createSignal('x');
+    expect(untrack(get)).toBe('x');
+  });
+
+  it('debe leer sin suscribirse con peek', () => {
+    const [get, set] = createSignal(0);
+    const results = [];
+
+    createEffect(() => results.push(get.peek()));
+    set(1);
+
+    expect(results).toEqual([0]);
+    expect(get.peek()).toBe(1);
+  });
+
+  it('debe soportar peek en computed', () => {
+    const [get, set] = createSignal(2);
+    const double = createComputed(() => get() * 2);
+    const results = [];
+
+    createEffect(() => results.push(double.peek()));
+    set(3);
+
+    expect(results).toEqual([4]);
+    expect(double.peek()).toBe(6);
+  });
+
+  it('debe rastrear solo las dependencias declaradas con on', () => {
+    const [a, setA] = createSignal(1);
+    const [b, setB] = createSignal(10);
+    const calls = [];
+
+    createEffect(on(a, (value, prev) => calls.push([value, prev, b()])));
+
+    setB(20);
+    setA(2);
+
+    expect(calls).toEqual([[1, undefined, 10], [2, 1, 20]]);
+  });
+
+  it('debe aceptar un array de dependencias', () => {
+    const [a, setA] = createSignal(1);
+    const [b, setB] = createSignal(2);
+    const calls = [];
+
+    createEffect(on([a, b], (values) => calls.push(values)));
+    setB(3);
+
+    expect(calls).toEqual([[1, 2], [1, 3]]);
+  });
+
+  it('debe omitir la primera ejecución con defer', () => {
+    const [get, set] = createSignal(0);
+    const calls = [];
+
+    createEffect(on(get, (value) => calls.push(value), { defer: true }));
+    expect(calls).toEqual([]);
+
+    set(1);
+    expect(calls).toEqual([1]);
+  });
+});
+
+describe('Reactive - createRoot / onCleanup', () => {
+  it('debe disponer efectos anidados al re-ejecutar el padre', () => {
+    const [outer, setOuter] = createSignal(0);
+    const [inner, setInner] = createSignal(0);
+    const runs = [];
+
+    createEffect(() => {
+      outer();
+      createEffect(() => runs.push(inner()));
+    });
+
+    setOuter(1);
+    setOuter(2);
+    runs.length = 0;
+
+    setInner(1);
+    expect(runs).toEqual([1]); // solo el hijo vivo
+  });
+
+  it('debe disponer todo lo creado dentro del root', () => {
+    const [get, set] = createSignal(0);
+    const results = [];
+
+    const dispose = createRoot((dispose) => {
+      createEffect(() => results.push(get()));
+      return dispose;
+    });
+
+    set(1);
+    dispose();
+    set(2);
+
+    expect(results).toEqual([0, 1]);
+  });
+
+  it('debe retornar el valor de fn', () => {
+    expect(createRoot(() => 'value')).toBe('value');
+  });
+
+  it('debe ejecutar onCleanup antes de re-ejecutar y al disponer', () => {
+    const [get, set] = createSignal(0);
+    const cleanups = [];
+
+    const dispose = createEffect(() => {
+      const val = get();
+      onCleanup(() => cleanups.push(val));
+    });
+
+    set(1);
+    dispose();
+
+    expect(cleanups).toEqual([0, 1]);
+  });
+
+  it('debe ejecutar onCleanup a cualquier profundidad', () => {
+    const cleanups = [];
+
+    createRoot((dispose) => {
+      onCleanup(() => cleanups.push('root'));
+      createEffect(() => {
+        createEffect(() => {
+          onCleanup(() => cleanups.push('nested'));
+        });
+      });
+      dispose();
+    });
+
+    expect(cleanups).toEqual(['nested', 'root']);
+  });
+
+  it('debe disponer computeds con su dueño', () => {
+    const [get, set] = createSignal(1);
+    const computeCount = { count: 0 };
+    let double;
+
+    const dispose = createRoot((dispose) => {
+      double = createComputed(() => {
+        computeCount.count++;
+        return get() * 2;
+      });
+      double();
+      return dispose;
+    });
+
+    dispose();
+    set(2);
+
+    expect(double()).toBe(2);
+    expect(computeCount.count).toBe(1);
+  });
+
+  it('debe restaurar el dueño con runWithOwner', () => {
+    const cleanups = [];
+    let owner;
+
+    const dispose = createRoot((dispose) => {
+      owner = getOwner();
+      return dispose;
+    });
+
+    runWithOwner(owner, () => onCleanup(() => cleanups.push('late')));
+    dispose();
+
+    expect(cleanups).toEqual(['late']);
+  });
+});
+
+describe('Reactive - equals', () => {
+  it('debe notificar siempre con equals: false', () => {
+    const [get, set, subscribe] = createSignal([], { equals: false });
+    const calls = [];
+
+    subscribe(() => calls.push(get().length));
+    set((list) => { list.push(1); return list; });
+    set((list) => { list.push(2); return list; });
+
+    expect(calls).toEqual([1, 2]);
+  });
+
+  it('debe usar un comparador personalizado', () => {
+    const sameId = (a, b) => a.id === b.id;
+    const [get, set, subscribe] = createSignal({ id: 1, v: 'a' }, { equals: sameId });
+    const calls = [];
+
+    subscribe(() => calls.push(get().v));
+    set({ id: 1, v: 'b' });
+    set({ id: 2, v: 'c' });
+
+    expect(calls).toEqual(['c']);
+  });
+
+  it('debe omitir objetos estructuralmente iguales con deepEqual', () => {
+    const [get, set, subscribe] = createSignal({ a: [1, 2] }, { equals: deepEqual });
+    const calls = [];
+
+    subscribe(() => calls.push(get()));
+    set({ a: [1, 2] });
+    set({ a: [1, 3] });
+
+    expect(calls).toEqual([{ a: [1, 3] }]);
+  });
+
+  it('debe soportar equals en $state', () => {
+    const state = $state({ point: { x: 1 } }, { equals: shallowEqual });
+    const changes = [];
+
+    state.subscribe((key) => changes.push(key));
+    state.point = { x: 1 };
+    state.point = { x: 2 };
+
+    expect(changes).toEqual(['point']);
+  });
+
+  it('debe forzar notificación en $state con equals: false', () => {
+    const state = $state({ count: 0 }, { equals: false });
+    const results = [];
+
+    createEffect(() => results.push(state.count));
+    state.count = 0;
+
+    expect(results).toEqual([0, 0]);
+  });
+
+  it('debe comparar con shallowEqual', () => {
+    expect(shallowEqual({ a: 1 }, { a: 1 })).toBe(true);
+    expect(shallowEqual([1, 2], [1, 2])).toBe(true);
+    expect(shallowEqual({ a: {} }, { a: {} })).toBe(false);
+    expect(shallowEqual([1], { 0: 1 })).toBe(false);
+  });
+
+  it('debe conservar el objeto anidado al asignar un valor igual con deepEqual', () => {
+    const st = $state({ user: { name: 'a' } }, { equals: deepEqual });
+    const names = [];
+    createEffect(() => names.push(st.user.name));
+
+    st.user = { name: 'a' };
+    st.user.name = 'b';
+    expect(names).toEqual(['a', 'b']);
+
+    st.extra = undefined;
+    expect('extra' in st).toBe(true);
+  });
+
+  it('debe comparar Date, Map y Set con shallowEqual', () => {
+    const item = {};
+    expect(shallowEqual(new Date(1), new Date(2))).toBe(false);
+    expect(shallowEqual(new Date(1), new Date(1))).toBe(true);
+    expect(shallowEqual(new Map([[1, 2]]), new Map())).toBe(false);
+    expect(shallowEqual(new Map([[1, item]]), new Map([[1, item]]))).toBe(true);
+    expect(shallowEqual(new Set([1]), new Set([2]))).toBe(false);
+    expect(shallowEqual(new Set([item]), new Set([item]))).toBe(true);
+    expect(shallowEqual(new Set([{}]), new Set([{}]))).toBe(false);
+
+    const [date, setDate] = createSignal(new Date(1), { equals: shallowEqual });
+    const seen = [];
+    createEffect(() => seen.push(date().getTime()));
+    setDate(new Date(1));
+    setDate(new Date(2));
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('debe comparar con deepEqual', () => {
+    expect(deepEqual({ a: { b: [1, { c: 2 }] } }, { a: { b: [1, { c: 2 }] } })).toBe(true);
+    expect(deepEqual(new Date(5), new Date(5))).toBe(true);
+    expect(deepEqual(new Map([['k', { v: 1 }]]), new Map([['k', { v: 1 }]]))).toBe(true);
+    expect(deepEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true);
+    expect(deepEqual({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+    expect(deepEqual(new Set([{ a: 1 }]), new Set([{ a: 1 }]))).toBe(true);
+    expect(deepEqual(new Set([{ a: 1 }, { a: 1 }]), new Set([{ a: 1 }, { a: 2 }]))).toBe(false);
+
+    const a = { name: 'a' };
+    a.self = a;
+    const b = { name: 'a' };
+    b.self = b;
+    expect(deepEqual(a, b)).toBe(true);
+  });
+});
+
+describe('Reactive - $state profundo', () => {
+  it('debe rastrear propiedades anidadas', () => {
+    const state = $state({ user: { name: 'John', address: { city: 'Lima' } } });
+    const results = [];
+
+    createEffect(() => results.push(`${state.user.name}@${state.user.address.city}`));
+
+    state.user.name = 'Jane';
+    state.user.address.city = 'Quito';
+
+    expect(results).toEqual(['John@Lima', 'Jane@Lima', 'Jane@Quito']);
+  });
+
+  it('debe reaccionar al reemplazar un objeto anidado', () => {
+    const state = $state({ user: { name: 'John' } });
+    const results = [];
+
+    createEffect(() => results.push(state.user.name));
+    state.user = { name: 'Ana' };
+    state.user.name = 'Eva';
+
+    expect(results).toEqual(['John', 'Ana', 'Eva']);
+  });
+
+  it('debe reaccionar a push una sola vez', () => {
+    const state = $state({ items: [1, 2] });
+    const results = [];
+
+    createEffect(() => results.push(state.items.join(',')));
+    state.items.push(3);
+
+    expect(results).toEqual(['1,2', '1,2,3']);
+  });
+
+  it('debe rastrear length e índices de arrays', () => {
+    const state = $state({ items: ['a', 'b', 'c'] });
+    const lengths = [];
+    const firsts = [];
+
+    createEffect(() => lengths.push(state.items.length));
+    createEffect(() => firsts.push(state.items[0]));
+
+    state.items[1] = 'B';
+    state.items.splice(0, 1);
+    state.items.length = 0;
+
+    expect(lengths).toEqual([3, 2, 0]);
+    expect(firsts).toEqual(['a', 'B', undefined]);
+  });
+
+  it('debe reaccionar a cambios dentro de elementos del array', () => {
+    const state = $state({ todos: [{ text: 'a', done: false }] });
+    const results = [];
+
+    createEffect(() => results.push(state.todos.filter((t) => t.done).length));
+    state.todos[0].done = true;
+
+    expect(results).toEqual([0, 1]);
+  });
+
+  it('debe no entrar en bucle al hacer push dentro de un efecto', () => {
+    const state = $state({ log: [] });
+    const [get, set] = createSignal(0);
+
+    createEffect(() => state.log.push(get()));
+    set(1);
+
+    expect(toRaw(state.log)).toEqual([0, 1]);
+  });
+
+  it('debe encontrar elementos con includes/indexOf', () => {
+    const item = { id: 1 };
+    const state = $state({ items: [item] });
+
+    expect(state.items.includes(item)).toBe(true);
+    expect(state.items.indexOf(state.items[0])).toBe(0);
+  });
+
+  it('debe rastrear claves agregadas y eliminadas', () => {
+    const state = $state({ map: {} });
+    const results = [];
+
+    createEffect(() => results.push(Object.keys(state.map).join(',')));
+    state.map.a = 1;
+    delete state.map.a;
+
+    expect(results).toEqual(['', 'a', '']);
+  });
+
+  it('debe soportar Map', () => {
+    const state = $state({ users: new Map() });
+    const sizes = [];
+    const names = [];
+
+    createEffect(() => sizes.push(state.users.size));
+    createEffect(() => names.push(state.users.get(1) && state.users.get(1).name));
+
+    state.users.set(1, { name: 'John' });
+    state.users.get(1).name = 'Jane';
+    state.users.delete(1);
+
+    expect(sizes).toEqual([0, 1, 0]);
+    expect(names).toEqual([undefined, 'John', 'Jane', undefined]);
+  });
+
+  it('debe soportar Set', () => {
+    const state = $state({ tags: new Set(['a']) });
+    const results = [];
+
+    createEffect(() => results.push(Array.from(state.tags).join(',')));
+    state.tags.add('b');
+    state.tags.add('b');
+    state.tags.delete('a');
+    state.tags.clear();
+
+    expect(results).toEqual(['a', 'a,b', 'b', '']);
+    expect(state.tags.has('a')).toBe(false);
+  });
+
+  it('debe notificar cambios anidados con ruta', () => {
+    const state = $state({ user: { name: 'John' }, items: [] });
+    const changes = [];
+
+    state.subscribe((key, old, newVal, path) => changes.push([key, old, newVal, path]));
+    state.user.name = 'Jane';
+    state.items.push('x');
+
+    expect(changes).toEqual([
+      ['user.name', 'John', 'Jane', ['user', 'name']],
+      ['items.0', undefined, 'x', ['items', '0']],
+      ['items.length', 0, 1, ['items', 'length']]
+    ]);
+  });
+
+  it('debe retornar una copia profunda con inspect', () => {
+    const state = $state({ user: { name: 'John' }, tags: new Set([1]) });
+    const snapshot = state.inspect();
+
+    expect(snapshot).toEqual({ user: { name: 'John' }, tags: new Set([1]) });
+    snapshot.user.name = 'changed';
+    expect(state.user.name).toBe('John');
+  });
+
+  it('debe mantener la identidad de proxies anidados', () => {
+    const state = $state({ user: { name: 'John' } });
+    expect(state.user).toBe(state.user);
+    expect(toRaw(state.user)).not.toBe(state.user);
+  });
+});
+
+describe('Reactive - createSelector', () => {
+  it('debe re-ejecutar sólo los efectos de las claves que cambian', () => {
+    const [selected, setSelected] = createSignal(1);
+    const isSelected = createSelector(selected);
+    const runs = {};
+    const states = {};
+
+    for (let id = 1; id <= 100; id++) {
+      runs[id] = 0;
+      createEffect(() => {
+        runs[id]++;
+        states[id] = isSelected(id);
+      });
+    }
+
+    setSelected(50);
+
+    expect(states[1]).toBe(false);
+    expect(states[50]).toBe(true);
+    expect(runs[1]).toBe(2);
+    expect(runs[50]).toBe(2);
+    expect(runs[2]).toBe(1);
+    expect(runs[99]).toBe(1);
+  });
+
+  it('debe aceptar una función de comparación', () => {
+    const [range, setRange] = createSignal([0, 10]);
+    const inRange = createSelector(range, (key, [min, max]) => key >= min && key <= max);
+    const runs = { 5: 0, 15: 0, 25: 0 };
+
+    [5, 15, 25].forEach((n) => createEffect(() => { inRange(n); runs[n]++; }));
+    setRange([0, 20]);
+
+    expect(runs).toEqual({ 5: 1, 15: 2, 25: 1 });
+    expect(inRange(15)).toBe(true);
+  });
+
+  it('debe olvidar las claves cuyos efectos se eliminaron', () => {
+    const [limit, setLimit] = createSignal(5);
+    const compare = vi.fn((key, max) => key <= max);
+    const isBelow = createSelector(limit, compare);
+
+    const dispose = createRoot((dispose) => {
+      for (let n = 1; n <= 10; n++) createEffect(() => isBelow(n));
+      return dispose;
+    });
+    createEffect(() => isBelow(3));
+    dispose();
+    compare.mockClear();
+
+    setLimit(6);
+    // only key 3 is still read by an effect
+    expect(compare.mock.calls.map(([key]) => key)).toEqual([3, 3]);
+  });
+
+  it('debe funcionar con computeds y batch', () => {
+    const [items] = createSignal(['a', 'b', 'c']);
+    const [index, setIndex] = createSignal(0);
+    const current = createComputed(() => items()[index()]);
+    const isCurrent = createSelector(current);
+    const seen = [];
+
+    createEffect(() => seen.push(['b', isCurrent('b')]));
+    batch(() => {
+      setIndex(2);
+      setIndex(1);
+    });
+
+    expect(seen).toEqual([['b', false], ['b', true]]);
+  });
+
+  it('debe dejar de notificar al disponer el dueño', () => {
+    const [selected, setSelected] = createSignal('x');
+    let runs = 0;
+    const dispose = createRoot((dispose) => {
+      const isSelected = createSelector(selected);
+      createEffect(() => { isSelected('y'); runs++; });
+      return dispose;
+    });
+
+    dispose();
+    setSelected('y');
+    expect(runs).toBe(1);
+  });
+});
+
+describe('Reactive - debug', () => {
+  afterEach(() => {
+    setDebug(false);
+    vi.restoreAllMocks();
+  });
+
+  it('debe exponer dependencias y observadores con nombre', () => {
+    const [count] = createSignal(0, { name: 'count' });
+    const double = createComputed(() => count() * 2, { name: 'double' });
+    const state = $state({ user: { name: 'John' } }, { name: 'store' });
+    const stop = createEffect(() => { double(); state.user.name; }, { name: 'render' });
+
+    const deps = getDependencies(stop).map((d) => [d.name, d.type]);
+    expect(deps).toEqual([['double', 'computed'], ['store.user', 'state'], ['store.user.name', 'state']]);
+    expect(getDependencies(double).map((d) => d.name)).toEqual(['count']);
+
+    expect(getObservers(count).map((o) => [o.name, o.type])).toEqual([['double', 'computed']]);
+    expect(getObservers(double).map((o) => o.name)).toEqual(['render']);
+    expect(getObservers(state.user, 'name').map((o) => o.name)).toEqual(['render']);
+  });
+
+  it('debe contar ejecuciones', () => {
+    const [count, setCount] = createSignal(0);
+    const double = createComputed(() => count() * 2);
+    const stop = createEffect(() => { double(); });
+
+    setCount(1);
+    setCount(2);
+
+    expect(getRunCount(stop)).toBe(3);
+    expect(getRunCount(double)).toBe(3);
+    expect(getObservers(double)[0].runs).toBe(3);
+  });
+
+  it('debe avisar cuando un efecto escribe en lo que lee', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setDebug(true);
+    const [count, setCount] = createSignal(0, { name: 'count' });
+
+    createEffect(() => {
+      if (count() < 1) setCount(count() + 1);
+    }, { name: 'increment' });
+
+    expect(warn.mock.calls[0][0]).toContain('"increment" writes to "count"');
+  });
+
+  it('debe avisar de efectos en bucle', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const [a, setA] = createSignal(0);
+    const [b, setB] = createSignal(0);
+    createEffect(() => { if (a() < 80) setB(a() + 1); }, { name: 'ping' });
+    createEffect(() => { if (b() < 80) setA(b() + 1); }, { name: 'pong' });
+
+    setDebug(true);
+    setA(1);
+
+    const messages = warn.mock.calls.map((call) => call[0]);
+    expect(messages.some((m) => m.includes('"ping" ran') || m.includes('"pong" ran'))).toBe(true);
+  });
+
+  it('debe incluir el nombre del efecto en los errores', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    createEffect(() => { throw new Error('boom'); }, { name: 'broken' });
+
+    expect(error.mock.calls[0][0]).toContain('"broken"');
+  });
+
+  it('debe asignar nombres por defecto', () => {
+    const [value] = createSignal(1);
+    const stop = createEffect(function syncTitle() { value(); });
+
+    expect(getObservers(value)[0].name).toBe('syncTitle');
+    expect(getDependencies(stop)[0].name).toMatch(/^signal#\d+$/);
+  });
+
+  it('debe desactivarse y devolver el estado anterior', () => {
+    expect(setDebug(true)).toBe(false);
+    expect(setDebug(false)).toBe(true);
+  });
+});
+
+describe('Reactive - catchError / onReactiveError', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('debe enviar errores de efectos anidados al handler', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const [count, setCount] = createSignal(0);
+    const handler = vi.fn();
+
+    catchError(() => {
+      createEffect(() => {
+        createEffect(() => {
+          if (count() > 0) throw new Error('boom');
+        }, { name: 'inner' });
+      });
+    }, handler);
+
+    setCount(1);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].message).toBe('boom');
+    expect(handler.mock.calls[0][1]).toEqual({ type: 'effect', name: 'inner' });
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it('debe capturar errores síncronos y de computeds', () => {
+    const [count, setCount] = createSignal(0);
+    const types = [];
+
+    const result = catchError(() => {
+      const broken = createComputed(() => {
+        if (count() > 0) throw new Error('computed');
+        return count();
+      });
+      createEffect(() => { broken(); });
+      throw new Error('sync');
+    }, (err, info) => types.push(info.type));
+
+    expect(result).toBeUndefined();
+    setCount(1);
+    expect(types).toEqual(['catchError', 'computed']);
+  });
+
+  it('debe capturar errores de subscribe() sin setTimeout', () => {
+    const [, setValue, subscribe] = createSignal(0);
+    const handler = vi.fn();
+
+    catchError(() => {
+      subscribe(() => { throw new Error('subscriber'); });
+    }, handler);
+    setValue(1);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1].type).toBe('subscriber');
+  });
+
+  it('debe capturar errores de subscribers de $state y de onCleanup', () => {
+    const state = $state({ n: 0 });
+    const handler = vi.fn();
+
+    const dispose = createRoot((dispose) => {
+      catchError(() => {
+        state.subscribe(() => { throw new Error('state'); });
+        onCleanup(() => { throw new Error('cleanup'); });
+      }, handler);
+      return dispose;
+    });
+
+    state.n = 1;
+    dispose();
+
+    expect(handler.mock.calls.map(([err, info]) => [err.message, info.type])).toEqual([
+      ['state', 'subscriber'],
+      ['cleanup', 'cleanup']
+    ]);
+  });
+
+  it('debe capturar efectos asíncronos rechazados', async () => {
+    const handler = vi.fn();
+    catchError(() => {
+      createEffect(async () => {
+        await Promise.resolve();
+        throw new Error('async');
+      });
+    }, handler);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(handler.mock.calls[0][0].message).toBe('async');
+  });
+
+  it('debe propagar al boundary superior si el handler falla', () => {
+    const outer = vi.fn();
+    catchError(() => {
+      catchError(() => {
+        createEffect(() => { throw new Error('inner'); });
+      }, (err) => { throw new Error(`rethrown: ${err.message}`); });
+    }, outer);
+
+    expect(outer.mock.calls[0][0].message).toBe('rethrown: inner');
+  });
+
+  it('debe notificar a onReactiveError errores manejados y no manejados', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const seen = [];
+    const off = onReactiveError((err, info) => seen.push([err.message, info.handled]));
+
+    createEffect(() => { throw new Error('unhandled'); });
+    catchError(() => createEffect(() => { throw new Error('handled'); }), () => {});
+    off();
+    createEffect(() => { throw new Error('ignored'); });
+
+    expect(seen).toEqual([['unhandled', false], ['handled', true]]);
+  });
+
+  it('debe enviar errores de un mismo subscriber al boundary de cada subscribe()', () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const [, setA, subscribeA] = createSignal(0);
+    const [, setB, subscribeB] = createSignal(0);
+    const listener = () => { throw new Error('sub'); };
+
+    catchError(() => subscribeA(listener), first);
+    catchError(() => subscribeB(listener), second);
+    setA(1);
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).not.toHaveBeenCalled();
+    expect(listener.__owner).toBeUndefined();
+  });
+
+  it('debe seguir registrando en consola los errores sin boundary', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const [, setValue, subscribe] = createSignal(0);
+    subscribe(() => { throw new Error('loose'); });
+    setValue(1);
+
+    expect(error).toHaveBeenCalled();
+  });
+});
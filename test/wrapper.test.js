@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import DOMUtilsCore from '../src/core/wrapper.js';
+
+const $ = (selector) => new DOMUtilsCore(selector);
+const ids = (wrapper) => wrapper.toArray().map((el) => el.id);
+
+describe('Wrapper - traversal', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <section id="root">
+        <div id="card1" class="card">
+          <h2 id="t1">Title</h2>
+          <p id="p1" class="text">A</p>
+          <p id="p2" class="text active">B</p>
+          <h2 id="t2">Second</h2>
+          <p id="p3" class="text">C</p>
+        </div>
+        <div id="card2" class="card">
+          <ul id="list"><li id="li1"></li><li id="li2" class="active"></li><li id="li3"></li></ul>
+        </div>
+      </section>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe recorrer padres y ancestros sin duplicados y en orden', () => {
+    expect(ids($('p').parent())).toEqual(['card1']);
+    expect(ids($('#p1, #li1').parents().not('html, body'))).toEqual(['root', 'card1', 'card2', 'list']);
+    expect(ids($('#li1').parents('.card'))).toEqual(['card2']);
+    expect(ids($('#li1').parentsUntil('#root'))).toEqual(['card2', 'list']);
+    expect(ids($('#li2, #p2').closest('.card'))).toEqual(['card1', 'card2']);
+    expect($('#p1').closest('ul').length).toBe(0);
+  });
+
+  it('debe obtener hijos y hermanos', () => {
+    expect(ids($('#card1').children('h2'))).toEqual(['t1', 't2']);
+    expect(ids($('#li2').siblings())).toEqual(['li1', 'li3']);
+    expect(ids($('#li1, #li3').siblings())).toEqual(['li1', 'li2', 'li3']);
+  });
+
+  it('debe soportar next/prev con All y Until', () => {
+    expect(ids($('#t1, #p2').next())).toEqual(['p1', 't2']);
+    expect(ids($('#t1').next('h2'))).toEqual([]);
+    expect(ids($('#t1').nextAll('p'))).toEqual(['p1', 'p2', 'p3']);
+    expect(ids($('#t1').nextUntil('h2'))).toEqual(['p1', 'p2']);
+    expect(ids($('#p3').prev())).toEqual(['t2']);
+    expect(ids($('#p3').prevAll('.text'))).toEqual(['p1', 'p2']);
+    expect(ids($('#p3').prevUntil('#t1', '.active'))).toEqual(['p2']);
+  });
+
+  it('debe filtrar con selector, función, elemento y wrapper', () => {
+    const paragraphs = $('p');
+    expect(ids(paragraphs.filter('.active'))).toEqual(['p2']);
+    expect(ids(paragraphs.filter((el, i) => i !== 1))).toEqual(['p1', 'p3']);
+    expect(ids(paragraphs.not(document.getElementById('p1')))).toEqual(['p2', 'p3']);
+    expect(ids(paragraphs.not($('.active')))).toEqual(['p1', 'p3']);
+    expect(paragraphs.is('.active')).toBe(true);
+    expect(paragraphs.is('li')).toBe(false);
+    expect(ids($('.card').has('ul'))).toEqual(['card2']);
+    expect(ids($('.card').has(document.getElementById('p3')))).toEqual(['card1']);
+  });
+
+  it('debe soportar first, last, eq negativo y add en orden de documento', () => {
+    expect(ids($('li').first())).toEqual(['li1']);
+    expect(ids($('li').last())).toEqual(['li3']);
+    expect(ids($('li').eq(-2))).toEqual(['li2']);
+    expect(ids($('#li1').add('#p1').add('#li1'))).toEqual(['p1', 'li1']);
+  });
+
+  it('debe volver a la selección anterior con end()', () => {
+    const list = $('#list');
+    const items = list.find('li').filter('.active');
+    expect(ids(items)).toEqual(['li2']);
+    expect(ids(items.end())).toEqual(['li1', 'li2', 'li3']);
+    expect(items.end().end()).toBe(list);
+    expect(list.end().length).toBe(0);
+  });
+
+  it('debe calcular index()', () => {
+    expect($('#li2').index()).toBe(1);
+    expect($('#li3').index('li')).toBe(2);
+    expect($('li').index(document.getElementById('li2'))).toBe(1);
+    expect($('li').index($('#p1'))).toBe(-1);
+    expect($('.missing').index()).toBe(-1);
+  });
+
+  it('debe conservar la subclase en los resultados', () => {
+    class Custom extends DOMUtilsCore {}
+    const result = new Custom('#list').children().parent();
+    expect(result).toBeInstanceOf(Custom);
+    expect(result.prevObject).toBeInstanceOf(Custom);
+  });
+});
+
+describe('Wrapper - manipulation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="a" class="box" data-user-id="7"><span>A</span></div>
+      <div id="b" class="box"><span>B</span></div>
+      <form><input id="name" value="Ana"><select id="tags" multiple><option value="x">X</option><option value="y">Y</option></select></form>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('debe insertar un clon en cada destino salvo el último', () => {
+    const badge = document.createElement('em');
+    $('.box').append(badge);
+    expect(document.querySelectorAll('.box em').length).toBe(2);
+    expect(document.querySelector('#b em')).toBe(badge);
+
+    $('.box').prepend('<b>x</b>');
+    expect(document.querySelector('#a').firstChild.textContent).toBe('<b>x</b>');
+    $('.box').after('<hr>', { html: true });
+    expect(document.querySelectorAll('hr').length).toBe(2);
+  });
+
+  it('debe mover con appendTo y devolver los elementos insertados', () => {
+    const inserted = $('#a span').appendTo('.box');
+    expect(inserted.length).toBe(2);
+    expect(document.querySelectorAll('#a span').length).toBe(1);
+    expect(document.querySelector('#b').lastElementChild).toBe(inserted.get(1));
+  });
+
+  it('debe envolver, desenvolver, reemplazar, vaciar y eliminar', () => {
+    $('span').wrap('<p class="wrap"><i></i></p>');
+    expect(document.querySelectorAll('.wrap > i > span').length).toBe(2);
+
+    $('span').unwrap('i');
+    expect(document.querySelectorAll('.wrap > span').length).toBe(2);
+
+    const removed = $('.wrap').replaceWith('<strong>new</strong>', { html: true });
+    expect(removed.get(0).isConnected).toBe(false);
+    expect(document.querySelectorAll('.box > strong').length).toBe(2);
+
+    $('#a').empty();
+    expect(document.getElementById('a').childNodes.length).toBe(0);
+    $('.box').remove('#b');
+    expect(ids($('.box'))).toEqual(['a']);
+  });
+
+  it('debe leer del primero y escribir en todos con html, data y val', () => {
+    const sanitizeFn = (s) => s.replace(/<script[\s\S]*?<\/script>/g, '');
+    $('.box').html('<u>hi</u><script>x()</script>', { sanitizeFn });
+    expect($('.box').html()).toBe('<u>hi</u>');
+    expect(document.querySelector('#b').innerHTML).toBe('<u>hi</u>');
+
+    expect($('.box').data('userId')).toBe('7');
+    $('.box').data({ role: 'card' });
+    expect($('#b').data()).toEqual({ role: 'card' });
+
+    expect($('#name').val()).toBe('Ana');
+    $('#name').val('Eva');
+    expect(document.getElementById('name').value).toBe('Eva');
+    $('#tags').val(['y']);
+    expect($('#tags').val()).toEqual(['y']);
+  });
+
+  it('debe leer con css() lo que escribe en camelCase, kebab-case y --custom', () => {
+    $('.box').css('backgroundColor', 'red').css({ 'margin-top': '4px', '--gap': '2px' });
+    expect($('.box').css('backgroundColor')).toBe('rgb(255, 0, 0)');
+    expect($('#b').css('background-color')).toBe('rgb(255, 0, 0)');
+    expect($('#b').css('marginTop')).toBe('4px');
+    expect($('#a').css('--gap')).toBe('2px');
+    expect($('.missing').css('color')).toBeUndefined();
+  });
+
+  it('debe aceptar mapas en attr y prop', () => {
+    $('.box').attr({ title: 'card', hidden: true, 'aria-busy': false });
+    expect($('#b').attr('title')).toBe('card');
+    expect($('#b').attr('hidden')).toBe('');
+    $('#name').prop({ disabled: true });
+    expect($('#name').prop('disabled')).toBe(true);
+  });
+});